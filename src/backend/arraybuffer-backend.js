@@ -1,10 +1,15 @@
 "use strict";
 
-const DownloadBackend = require('./download-backend.js');
+const XHRBackend = require('./xhr-backend.js');
 
 const type = 'arraybuffer';
 
-class ArrayBufferBackend extends DownloadBackend {
+class ArrayBufferBackend extends XHRBackend {
+  constructor(options) {
+    super(options);
+    this.progressive = false;
+  }
+
   initXHR() {
     super.initXHR();
     this.xhr.responseType = type;
@@ -23,14 +28,26 @@ class ArrayBufferBackend extends DownloadBackend {
   }
 }
 
-ArrayBufferBackend.supported = function() {
-  try {
-    const xhr = new XMLHttpRequest();
-    xhr.responseType = type;
-    return (xhr.responseType === type);
-  } catch (e) {
+let hasType = null;
+
+ArrayBufferBackend.supported = function(options) {
+  if (options && !ArrayBufferBackend.isNetworkSource(options)) {
     return false;
   }
+  if (options && options.progressive !== false) {
+    // Only used when progressive download is explicitly disabled.
+    return false;
+  }
+  if (hasType === null) {
+    try {
+      const xhr = new XMLHttpRequest();
+      xhr.responseType = type;
+      hasType = (xhr.responseType === type);
+    } catch (e) {
+      hasType = false;
+    }
+  }
+  return hasType;
 };
 
 module.exports = ArrayBufferBackend;
@@ -3,15 +3,15 @@
 const TinyEvents = require('../events');
 
 /**
- * Extract the file's total length from the XHR returned headers.
+ * Extract the file's total length from the returned headers.
  * @returns {number} - byte length or -1
  * @access private
  */
-function getXHRLength(xhr) {
-  if (xhr.status == 206) {
-    return getXHRRangeTotal(xhr);
+function getResponseLength(backend) {
+  if (backend.getResponseStatus() == 206) {
+    return getResponseRangeTotal(backend);
   } else {
-    const contentLength = xhr.getResponseHeader('Content-Length');
+    const contentLength = backend.getResponseHeader('Content-Length');
     if (contentLength === null || contentLength === '') {
       // Unknown file length... maybe streaming live?
       return -1;
@@ -22,23 +22,23 @@ function getXHRLength(xhr) {
 }
 
 /**
- * Extract the range chunk info from the XHR returned headers.
+ * Extract the range chunk info from the returned headers.
  * @returns {Array} - byte length or -1
  * @access private
  */
-function getXHRRangeMatches(xhr) {
+function getResponseRangeMatches(backend) {
   // Note Content-Range must be whitelisted for CORS requests
-  const contentRange = xhr.getResponseHeader('Content-Range');
+  const contentRange = backend.getResponseHeader('Content-Range');
   return contentRange && contentRange.match(/^bytes (\d+)-(\d+)\/(\d+)/);
 }
 
 /**
- * Extract the chunk start position from the XHR returned headers.
+ * Extract the chunk start position from the returned headers.
  * @returns {number} - byte position or 0
  * @access private
  */
-function getXHRRangeStart(xhr) {
-  const matches = getXHRRangeMatches(xhr);
+function getResponseRangeStart(backend) {
+  const matches = getResponseRangeMatches(backend);
   if (matches) {
     return parseInt(matches[1], 10);
   } else {
@@ -47,12 +47,12 @@ function getXHRRangeStart(xhr) {
 }
 
 /**
- * Extract the file's total length from the XHR returned headers.
+ * Extract the file's total length from the returned headers.
  * @returns {number} - byte length or -1
  * @access private
  */
-function getXHRRangeTotal(xhr) {
-  const matches = getXHRRangeMatches(xhr);
+function getResponseRangeTotal(backend) {
+  const matches = getResponseRangeMatches(backend);
   if (matches) {
     return parseInt(matches[3], 10);
   } else {
@@ -60,123 +60,157 @@ function getXHRRangeTotal(xhr) {
   }
 }
 
-/**
- * Record the HTTP headers from the initial request, in case some are useful.
- * @returns {Object} map of headers
- * @access private
- */
-function getXHRHeaders(xhr) {
-  const headers = {};
-  const headerLines = xhr.getAllResponseHeaders().split(/\r?\n/);
-  headerLines.forEach(function(line) {
-    const bits = line.split(/:\s*/, 2);
-    if (bits.length > 1) {
-      headers[bits[0].toLowerCase()] = bits[1];
-    }
-  });
-  return headers;
-}
-
 
 /**
  * Represents a single HTTP request pass through part of a URL.
  *
- * Subclasses handle details of chunking/strings/streams and provide
- * a unified internal API.
+ * Subclasses handle details of the transport (XHR, fetch) and of
+ * chunking/strings/streams and provide a unified internal API.
+ * This is also the interface for custom backends registered with
+ * StreamFile.registerBackend() or passed as the 'backend' option.
+ *
+ * Constructor options include the StreamFile source options
+ * (url, path, blob, data) plus:
+ * - offset - byte offset to start reading at
+ * - length - max bytes to read, or 0 for through the end
+ *
+ * Properties, valid after 'open':
+ * - seekable - true if other ranges may be requested
+ * - length - total length of the file in bytes, or -1 if unknown
+ * - headers - map of lowercase header names to values
+ * - bytesRead - count of bytes sent out in 'buffer' events so far
+ * - eof - true once the requested range is complete
+ * - progressive - false if the data only comes at the end, all at once
+ *
+ * Methods:
+ * - load() - start the request; returns a Promise resolved on 'open'
+ * - bufferToOffset(end) - returns a Promise resolved once data through
+ *   the given file offset has been sent, or on 'done'
+ * - abort() - cancel the request; pending promises reject with AbortError
  *
  * Events sent:
+ * - 'response' - internal; response status and headers are available
  * - 'open' - called when file metadata ready
- * - 'buffer' - passes a BufferSegment in with some new data
+ * - 'buffer' - passes an ArrayBuffer or binary string with some new data
  * - 'done' - called at end of file
- * - 'error' - called in case of error
+ * - 'error' - called in case of error, passing an Error
  * - 'cachever' - triggered when old Safari caching bug found
  */
 class Backend extends TinyEvents {
-  constructor({url, offset, length, cachever=0}) {
+  constructor({url, offset, length, cachever=0, requestHeaders={}, credentials='same-origin', beforeRequest=null, connectTimeout=0}) {
     super();
 
     this.url = url;
     this.offset = offset;
     this.length = length;
     this.cachever = cachever;
+    this.requestHeaders = requestHeaders || {};
+    this.credentials = credentials;
+    this.beforeRequest = beforeRequest;
+    this.connectTimeout = connectTimeout;
+    this.requestInfo = null;
 
     this.loaded = false;
     this.seekable = false;
     this.headers = {};
     this.eof = false;
     this.bytesRead = 0;
-    this.xhr = new XMLHttpRequest();
+    this.progressive = true;
   }
 
   load() {
     return new Promise((resolve, reject) => {
       let oncomplete = null;
+      let timeout = null;
       this._onAbort = (err) => {
         oncomplete();
         reject(err);
       };
       const checkOpen = () => {
-        // There doesn't seem to be a good match for readyState 2 on the XHR2 events model.
-        if (this.xhr.readyState == 2) {
-          if (this.xhr.status == 206) {
-            // Partial content -- we are streamable
-            const foundPosition = getXHRRangeStart(this.xhr);
-            if (this.offset != foundPosition) {
-              //
-              // Safari sometimes messes up and gives us the wrong chunk.
-              // Seems to be a general problem with Safari and cached XHR ranges.
-              //
-              // Interestingly, it allows you to request _later_ ranges successfully,
-              // but when requesting _earlier_ ranges it returns the latest one retrieved.
-              // So we only need to update the cache-buster when we rewind and actually
-              // get an incorrect range.
-              //
-              // https://bugs.webkit.org/show_bug.cgi?id=82672
-              //
-              console.log('Expected start at ' + this.offset + ' but got ' + foundPosition +
-                '; working around Safari range caching bug: https://bugs.webkit.org/show_bug.cgi?id=82672');
-              this.cachever++;
-              this.emit('cachever');
-              this.abort();
-              oncomplete();
-              this.load().then(resolve).catch(reject);
-              return;
-            }
-            this.seekable = true;
-          }
-          if (this.xhr.status >= 200 && this.xhr.status < 300) {
-            this.length = getXHRLength(this.xhr);
-            this.headers = getXHRHeaders(this.xhr);
-            this.onXHRStart();
-          } else {
+        clearTimeout(timeout);
+        const status = this.getResponseStatus();
+        if (status == 206) {
+          // Partial content -- we are streamable
+          const foundPosition = getResponseRangeStart(this);
+          if (this.offset != foundPosition) {
+            //
+            // Safari sometimes messes up and gives us the wrong chunk.
+            // Seems to be a general problem with Safari and cached XHR ranges.
+            //
+            // Interestingly, it allows you to request _later_ ranges successfully,
+            // but when requesting _earlier_ ranges it returns the latest one retrieved.
+            // So we only need to update the cache-buster when we rewind and actually
+            // get an incorrect range.
+            //
+            // https://bugs.webkit.org/show_bug.cgi?id=82672
+            //
+            console.log('Expected start at ' + this.offset + ' but got ' + foundPosition +
+              '; working around Safari range caching bug: https://bugs.webkit.org/show_bug.cgi?id=82672');
+            this.cachever++;
+            this.emit('cachever');
             oncomplete();
-            reject(new Error('HTTP error ' + this.xhr.status))
+            this.abort();
+            this.load().then(resolve).catch(reject);
+            return;
           }
+          this.seekable = true;
+        }
+        if (status >= 200 && status < 300) {
+          this.length = getResponseLength(this);
+          this.headers = this.getResponseHeaders();
+          this.onResponseStart();
+        } else {
+          const err = new Error('HTTP error ' + status);
+          err.status = status;
+          err.retryAfter = this.getResponseHeader('Retry-After');
+          oncomplete();
+          this.abortRequest();
+          reject(err);
         }
       };
-      const checkError = () => {
+      const checkError = (err) => {
         oncomplete();
-        reject(new Error('network error'));
+        if (!err) {
+          err = new Error('network error');
+          err.name = 'NetworkError';
+        }
+        reject(err);
       };
       const checkBackendOpen = () => {
         oncomplete();
         resolve();
       };
       oncomplete = () => {
-        this.xhr.removeEventListener('readystatechange', checkOpen);
-        this.xhr.removeEventListener('error', checkError);
+        clearTimeout(timeout);
+        this.off('response', checkOpen);
+        this.off('error', checkError);
         this.off('open', checkBackendOpen);
         this._onAbort = null;
       };
 
-      this.initXHR();
-
       // Events for the open promise
-      this.xhr.addEventListener('readystatechange', checkOpen);
-      this.xhr.addEventListener('error', checkError);
+      this.on('response', checkOpen);
+      this.on('error', checkError);
       this.on('open', checkBackendOpen);
 
-      this.xhr.send();
+      // Give up if we don't get a response in time.
+      if (this.connectTimeout > 0) {
+        timeout = setTimeout(() => {
+          const err = new Error('connect timeout');
+          err.name = 'TimeoutError';
+          oncomplete();
+          this.abortRequest();
+          reject(err);
+        }, this.connectTimeout);
+      }
+
+      const onAbort = this._onAbort;
+      this.prepareRequest().then(() => {
+        // Don't send if aborted while the hook was running.
+        if (this._onAbort === onAbort) {
+          this.sendRequest();
+        }
+      }).catch(checkError);
     });
   }
 
@@ -191,15 +225,22 @@ class Backend extends TinyEvents {
     return Promise.reject(new Error('abstract'));
   }
 
-  abort() {
-    this.xhr.abort();
+  /**
+   * Cancel the request. Any pending load() or bufferToOffset() promise
+   * rejects with the given error, or an AbortError by default.
+   * @param {Error} err - optional error to reject with
+   */
+  abort(err=null) {
+    this.abortRequest();
 
     if (this._onAbort) {
       const onAbort = this._onAbort;
       this._onAbort = null;
 
-      let err = new Error('Aborted');
-      err.name = 'AbortError';
+      if (!err) {
+        err = new Error('Aborted');
+        err.name = 'AbortError';
+      }
 
       onAbort(err);
     }
@@ -209,7 +250,11 @@ class Backend extends TinyEvents {
   // Private methods
   // ---------------
 
-  initXHR() {
+  /**
+   * URL to actually request, including any cache-busting parameter.
+   * @returns {string}
+   */
+  getRequestUrl() {
     let getUrl = this.url;
     if (this.cachever) {
       //
@@ -224,9 +269,14 @@ class Backend extends TinyEvents {
       //
       getUrl += '?buggy_cachever=' + this.cachever;
     }
+    return getUrl;
+  }
 
-    this.xhr.open("GET", getUrl);
-
+  /**
+   * Value for the HTTP 'Range' request header, if any.
+   * @returns {string|null}
+   */
+  getRequestRange() {
     let range = null;
     if (this.offset || this.length) {
       range = 'bytes=' + this.offset + '-';
@@ -234,14 +284,106 @@ class Backend extends TinyEvents {
     if (this.length) {
       range += (this.offset + this.length) - 1;
     }
+    return range;
+  }
+
+  /**
+   * Fill out requestInfo with the URL and headers to send, after
+   * running the beforeRequest hook if there is one.
+   * @returns {Promise}
+   */
+  prepareRequest() {
+    const headers = {};
+    Object.keys(this.requestHeaders).forEach((name) => {
+      headers[name] = this.requestHeaders[name];
+    });
+    const range = this.getRequestRange();
     if (range !== null) {
-      this.xhr.setRequestHeader('Range', range);
+      headers['Range'] = range;
     }
+    const info = {
+      url: this.getRequestUrl(),
+      offset: this.offset,
+      length: this.length,
+      headers
+    };
+    const hook = this.beforeRequest;
+    return Promise.resolve(hook ? hook(info) : info).then((result) => {
+      // The hook may modify the info object or return a new one.
+      this.requestInfo = result || info;
+    });
+  }
+
+  /**
+   * Start the network request using requestInfo. Implementations must emit 'response'
+   * once the status and headers are available, or 'error' on failure.
+   */
+  sendRequest() {
+    throw new Error('abstract');
   }
 
-  onXHRStart() {
+  /**
+   * Cancel any network request in flight.
+   */
+  abortRequest() {
+    throw new Error('abstract');
+  }
+
+  /**
+   * @returns {number} HTTP status code of the response
+   */
+  getResponseStatus() {
+    throw new Error('abstract');
+  }
+
+  /**
+   * @param {string} name - case-insensitive header name
+   * @returns {string|null} header value, or null if not present
+   */
+  getResponseHeader(name) {
+    throw new Error('abstract');
+  }
+
+  /**
+   * Record the HTTP headers from the initial request, in case some are useful.
+   * @returns {Object} map of lowercase header names to values
+   */
+  getResponseHeaders() {
+    throw new Error('abstract');
+  }
+
+  /**
+   * Called once the response has been validated; implementations should
+   * hook up their data handling and emit 'open'.
+   */
+  onResponseStart() {
     throw new Error('abstract');
   }
 }
 
+/**
+ * Can this backend class be used for the given source options?
+ * With no options, only checks for support in this environment.
+ * Subclasses must override this.
+ *
+ * @param {Object} [options] - source options as passed to the constructor
+ * @returns {boolean}
+ */
+Backend.supported = function(options) {
+  return false;
+};
+
+/**
+ * Do the given source options describe a URL to fetch over the network,
+ * rather than a local file, Blob, or in-memory data?
+ *
+ * @param {Object} options - source options as passed to the constructor
+ * @returns {boolean}
+ */
+Backend.isNetworkSource = function(options) {
+  return !options.data && !options.blob && !options.path &&
+    (typeof options.url === 'string') &&
+    !/^(data|file):/i.test(options.url);
+};
+
 module.exports = Backend;
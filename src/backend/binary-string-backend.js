@@ -1,8 +1,8 @@
 "use strict";
 
-const DownloadBackend = require('./download-backend.js');
+const XHRBackend = require('./xhr-backend.js');
 
-class BinaryStringBackend extends DownloadBackend {
+class BinaryStringBackend extends XHRBackend {
   initXHR() {
     super.initXHR();
     this.xhr.responseType = "text";
@@ -24,13 +24,21 @@ class BinaryStringBackend extends DownloadBackend {
   }
 }
 
-BinaryStringBackend.supported = function() {
-  try {
-    const xhr = new XMLHttpRequest();
-    return !!xhr.overrideMimeType;
-  } catch (e) {
+let hasOverride = null;
+
+BinaryStringBackend.supported = function(options) {
+  if (options && !BinaryStringBackend.isNetworkSource(options)) {
     return false;
   }
+  if (hasOverride === null) {
+    try {
+      const xhr = new XMLHttpRequest();
+      hasOverride = !!xhr.overrideMimeType;
+    } catch (e) {
+      hasOverride = false;
+    }
+  }
+  return hasOverride;
 };
 
 module.exports = BinaryStringBackend;
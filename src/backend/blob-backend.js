@@ -0,0 +1,58 @@
+"use strict";
+
+const LocalBackend = require('./local-backend.js');
+
+/**
+ * Read the contents of a Blob into an ArrayBuffer.
+ * @returns {Promise}
+ * @access private
+ */
+function readBlob(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer();
+  }
+  // Older browsers lack Blob.prototype.arrayBuffer
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Backend reading ranges of a Blob or File directly,
+ * without going through a blob: URL.
+ */
+class BlobBackend extends LocalBackend {
+  constructor(options) {
+    super(options);
+    this.blob = options.blob;
+    if (this.blob.type) {
+      this.headers['content-type'] = this.blob.type;
+    }
+  }
+
+  // ---------------
+  // Private methods
+  // ---------------
+
+  openSource() {
+    return Promise.resolve(this.blob.size);
+  }
+
+  readSlice(start, end) {
+    return readBlob(this.blob.slice(start, end));
+  }
+
+}
+
+BlobBackend.supported = function(options) {
+  if (options && !options.blob) {
+    return false;
+  }
+  return (typeof Blob === 'function') &&
+    (typeof Blob.prototype.slice === 'function');
+};
+
+module.exports = BlobBackend;
@@ -4,13 +4,13 @@ const Backend = require('./backend.js');
 
 /**
  * Backend for progressive downloading.
- * Subclasses handle details of strings/buffers.
+ * Subclasses handle details of the transport and of strings/buffers.
  */
 class DownloadBackend extends Backend {
 
   bufferToOffset(end) {
     return new Promise((resolve, reject) => {
-      if (this.eof || this.offset >= end) {
+      if (this.eof || this.offset + this.bytesRead >= end) {
         resolve();
       } else {
         let oncomplete = null;
@@ -20,7 +20,7 @@ class DownloadBackend extends Backend {
         };
 
         const checkBuffer = () => {
-          if (this.offset >= end && !this.eof) {
+          if (this.offset + this.bytesRead >= end && !this.eof) {
             oncomplete();
             resolve();
           }
@@ -29,9 +29,9 @@ class DownloadBackend extends Backend {
           oncomplete();
           resolve();
         };
-        const checkError = () => {
+        const checkError = (err) => {
           oncomplete();
-          reject(new Error('error streaming'));
+          reject(err || new Error('error streaming'));
         };
 
         oncomplete = () => {
@@ -50,32 +50,6 @@ class DownloadBackend extends Backend {
     });
   }
 
-  initXHR() {
-    super.initXHR();
-  }
-
-  onXHRStart() {
-    // Event handlers to drive output
-    this.xhr.addEventListener('progress', () => this.onXHRProgress());
-    this.xhr.addEventListener('error', () => this.onXHRError());
-    this.xhr.addEventListener('load', () => this.onXHRLoad());
-
-    this.emit('open');
-  }
-
-  onXHRProgress() {
-    throw new Error('abstract');
-  }
-
-  onXHRError() {
-    this.emit('error');
-  }
-
-  onXHRLoad() {
-    this.eof = true;
-    this.emit('done');
-  }
-
 }
 
 module.exports = DownloadBackend;
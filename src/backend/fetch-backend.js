@@ -0,0 +1,139 @@
+"use strict";
+
+const DownloadBackend = require('./download-backend.js');
+
+/**
+ * Progressive download backend using fetch() and a ReadableStream body,
+ * which returns ArrayBuffer chunks as they arrive.
+ */
+class FetchBackend extends DownloadBackend {
+  constructor(options) {
+    super(options);
+    this.response = null;
+    this.reader = null;
+    this.controller = null;
+  }
+
+  // ---------------
+  // Private methods
+  // ---------------
+
+  sendRequest() {
+    const controller = this.controller = (typeof AbortController === 'function') ? new AbortController() : null;
+    const info = this.requestInfo;
+    const init = {
+      method: 'GET',
+      headers: info.headers,
+      credentials: this.credentials
+    };
+    if (controller) {
+      init.signal = controller.signal;
+    }
+
+    fetch(info.url, init).then((response) => {
+      if (controller === this.controller) {
+        this.response = response;
+        this.emit('response');
+      }
+    }).catch(() => {
+      if (controller === this.controller) {
+        this.onFetchError();
+      }
+    });
+  }
+
+  abortRequest() {
+    if (this.controller) {
+      this.controller.abort();
+    }
+    if (this.reader) {
+      this.reader.cancel().catch(() => {});
+    } else if (this.response && this.response.body) {
+      this.response.body.cancel().catch(() => {});
+    }
+    this.controller = null;
+    this.reader = null;
+    this.response = null;
+  }
+
+  getResponseStatus() {
+    return this.response.status;
+  }
+
+  getResponseHeader(name) {
+    return this.response.headers.get(name);
+  }
+
+  getResponseHeaders() {
+    const headers = {};
+    this.response.headers.forEach((value, name) => {
+      headers[name.toLowerCase()] = value;
+    });
+    return headers;
+  }
+
+  onResponseStart() {
+    if (!this.response.body) {
+      // Nothing to stream, eg an empty range.
+      this.emit('open');
+      this.onFetchDone();
+      return;
+    }
+
+    const reader = this.reader = this.response.body.getReader();
+    const pump = () => {
+      reader.read().then(({done, value}) => {
+        if (reader !== this.reader) {
+          // aborted
+        } else if (done) {
+          this.onFetchDone();
+        } else {
+          this.onFetchChunk(value);
+          pump();
+        }
+      }).catch(() => {
+        if (reader === this.reader) {
+          this.onFetchError();
+        }
+      });
+    };
+
+    this.emit('open');
+    pump();
+  }
+
+  onFetchChunk(bytes) {
+    let buffer = bytes.buffer;
+    if (bytes.byteOffset !== 0 || bytes.byteLength !== buffer.byteLength) {
+      buffer = buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+    if (buffer.byteLength > 0) {
+      this.bytesRead += buffer.byteLength;
+      this.emit('buffer', buffer);
+    }
+  }
+
+  onFetchError() {
+    const err = new Error('network error');
+    err.name = 'NetworkError';
+    this.emit('error', err);
+  }
+
+  onFetchDone() {
+    this.eof = true;
+    this.emit('done');
+  }
+
+}
+
+FetchBackend.supported = function(options) {
+  if (options && !FetchBackend.isNetworkSource(options)) {
+    return false;
+  }
+  return (typeof fetch === 'function') &&
+    (typeof ReadableStream === 'function') &&
+    (typeof Response === 'function') &&
+    ('body' in Response.prototype);
+};
+
+module.exports = FetchBackend;
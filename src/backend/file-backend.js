@@ -0,0 +1,74 @@
+"use strict";
+
+const fs = require('fs');
+const url = require('url');
+
+const LocalBackend = require('./local-backend.js');
+
+/**
+ * Backend reading a range of a local file via node's fs module,
+ * for file paths and file:// URLs.
+ */
+class FileBackend extends LocalBackend {
+  constructor(options) {
+    super(options);
+    this.path = options.path || url.fileURLToPath(options.url);
+    this.fd = null;
+  }
+
+  // ---------------
+  // Private methods
+  // ---------------
+
+  openSource() {
+    return new Promise((resolve, reject) => {
+      fs.open(this.path, 'r', (err, fd) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        this.fd = fd;
+        fs.fstat(fd, (err, stats) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(stats.size);
+          }
+        });
+      });
+    });
+  }
+
+  readSlice(start, end) {
+    return new Promise((resolve, reject) => {
+      const len = end - start;
+      const dest = Buffer.alloc(len);
+      fs.read(this.fd, dest, 0, len, start, (err, nbytes) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(dest.buffer.slice(dest.byteOffset, dest.byteOffset + nbytes));
+        }
+      });
+    });
+  }
+
+  closeSource() {
+    const fd = this.fd;
+    this.fd = null;
+    if (fd !== null) {
+      fs.close(fd, () => {});
+    }
+  }
+
+}
+
+FileBackend.supported = function(options) {
+  if (options && !options.path && !/^file:/i.test(options.url)) {
+    return false;
+  }
+  return (typeof fs.open === 'function') &&
+    (typeof url.fileURLToPath === 'function');
+};
+
+module.exports = FileBackend;
@@ -1,33 +1,111 @@
 "use strict";
 
+const Backend = require('./backend.js');
+const DownloadBackend = require('./download-backend.js');
+const MemoryBackend = require('./memory-backend.js');
+const BlobBackend = require('./blob-backend.js');
+const FileBackend = require('./file-backend.js');
+const NodeHTTPBackend = require('./node-http-backend.js');
+const FetchBackend = require('./fetch-backend.js');
 const MozChunkedBackend = require('./moz-chunked-backend.js');
 const BinaryStringBackend = require('./binary-string-backend.js');
 const ArrayBufferBackend = require('./arraybuffer-backend.js');
 
-function autoselect() {
-  // Only include progressive-capable for now
-  if (MozChunkedBackend.supported()) {
-    return MozChunkedBackend;
-  } else if (BinaryStringBackend.supported()) {
-    return BinaryStringBackend;
-  } else {
-    return null;
+/**
+ * Registered backend classes, sorted by descending priority.
+ * Among equal priorities, the first registered wins.
+ * @access private
+ */
+const registry = [];
+let registrations = 0;
+
+/**
+ * Add a backend class to the set considered by autoselection.
+ * Registering an already-registered class updates its priority.
+ *
+ * @param {function} backendClass - Backend subclass or compatible constructor
+ * @param {Object} options
+ * @param {number} options.priority - higher priorities are tried first
+ */
+function register(backendClass, {priority=0}={}) {
+  if (typeof backendClass !== 'function') {
+    throw new Error('invalid input');
   }
+  unregister(backendClass);
+  registry.push({
+    backendClass,
+    priority,
+    order: registrations++
+  });
+  registry.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
 }
 
-let backendClass = null;
-
-function instantiate(options) {
-  if (options.progressive === false) {
-    return new ArrayBufferBackend(options);
+/**
+ * Remove a backend class from autoselection.
+ * @param {function} backendClass
+ * @returns {boolean} - true if it was registered
+ */
+function unregister(backendClass) {
+  for (let i = 0; i < registry.length; i++) {
+    if (registry[i].backendClass === backendClass) {
+      registry.splice(i, 1);
+      return true;
+    }
   }
-  if (!backendClass) {
-    backendClass = autoselect();
+  return false;
+}
+
+/**
+ * Pick the highest-priority registered backend class that reports
+ * support for the given source options.
+ * @returns {function|null}
+ */
+function autoselect(options) {
+  for (let i = 0; i < registry.length; i++) {
+    const backendClass = registry[i].backendClass;
+    if (typeof backendClass.supported !== 'function' || backendClass.supported(options)) {
+      return backendClass;
+    }
   }
+  return null;
+}
+
+/**
+ * Create a backend for the given options, using the explicitly
+ * requested backend class if any, or else autoselecting one.
+ * @returns {Backend}
+ */
+function instantiate(options) {
+  const backendClass = options.backend || autoselect(options);
   if (!backendClass) {
     throw new Error('No supported backend class');
   }
   return new backendClass(options);
 }
 
-module.exports = instantiate;
+// Local and in-memory sources are matched by their options first;
+// progressive-capable network backends are preferred over ArrayBuffer
+// unless progressive download is turned off.
+register(MemoryBackend, {priority: 100});
+register(BlobBackend, {priority: 100});
+register(ArrayBufferBackend, {priority: 90});
+register(FetchBackend, {priority: 70});
+register(MozChunkedBackend, {priority: 60});
+register(BinaryStringBackend, {priority: 50});
+
+// Node-only backends are left out of browser bundles.
+if (typeof FileBackend === 'function') {
+  register(FileBackend, {priority: 100});
+}
+if (typeof NodeHTTPBackend === 'function') {
+  register(NodeHTTPBackend, {priority: 80});
+}
+
+module.exports = {
+  Backend,
+  DownloadBackend,
+  autoselect,
+  instantiate,
+  register,
+  unregister
+};
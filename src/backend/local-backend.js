@@ -0,0 +1,123 @@
+"use strict";
+
+const DownloadBackend = require('./download-backend.js');
+
+const sliceSize = 64 * 1024;
+
+/**
+ * Backend for random-access sources that don't need a network request,
+ * such as local files and Blobs. The requested range is read in successive
+ * slices, which are emitted as 'buffer' events just like a download.
+ *
+ * Subclasses provide openSource(), readSlice() and closeSource().
+ */
+class LocalBackend extends DownloadBackend {
+  constructor(options) {
+    super(options);
+    this.aborted = false;
+  }
+
+  load() {
+    return new Promise((resolve, reject) => {
+      this._onAbort = (err) => {
+        this._onAbort = null;
+        reject(err);
+      };
+
+      this.openSource().then((size) => {
+        if (this.aborted) {
+          this.closeSource();
+          return;
+        }
+        this._onAbort = null;
+
+        // Clamp our chunk to the actual source.
+        const start = Math.min(this.offset, size);
+        const end = this.length ? Math.min(size, this.offset + this.length) : size;
+
+        this.length = size;
+        this.seekable = true;
+
+        this.emit('open');
+        resolve();
+
+        this.readRange(start, end);
+      }).catch((err) => {
+        this.closeSource();
+        if (!this.aborted) {
+          this._onAbort = null;
+          this.emit('error', err);
+          reject(err);
+        }
+      });
+    });
+  }
+
+  // ---------------
+  // Private methods
+  // ---------------
+
+  readRange(start, end) {
+    if (this.aborted) {
+      return;
+    }
+    if (start >= end) {
+      this.closeSource();
+      this.eof = true;
+      this.emit('done');
+      return;
+    }
+    this.readSlice(start, Math.min(end, start + sliceSize)).then((buffer) => {
+      if (this.aborted) {
+        return;
+      }
+      if (buffer.byteLength === 0) {
+        // Source was truncated underneath us.
+        this.readRange(start, start);
+      } else {
+        this.bytesRead += buffer.byteLength;
+        this.emit('buffer', buffer);
+        this.readRange(start + buffer.byteLength, end);
+      }
+    }).catch((err) => {
+      if (!this.aborted) {
+        this.aborted = true;
+        this.closeSource();
+        this.emit('error', err);
+      }
+    });
+  }
+
+  abortRequest() {
+    this.aborted = true;
+    this.closeSource();
+  }
+
+  /**
+   * Open the underlying source.
+   * @returns {Promise} - resolved with the total byte length
+   */
+  openSource() {
+    return Promise.reject(new Error('abstract'));
+  }
+
+  /**
+   * Read a range of bytes from the source.
+   * @param {number} start - start offset, inclusive
+   * @param {number} end - end offset, exclusive
+   * @returns {Promise} - resolved with an ArrayBuffer of up to end - start bytes
+   */
+  readSlice(start, end) {
+    return Promise.reject(new Error('abstract'));
+  }
+
+  /**
+   * Release the underlying source. May be called more than once.
+   */
+  closeSource() {
+    // no-op by default
+  }
+
+}
+
+module.exports = LocalBackend;
@@ -0,0 +1,122 @@
+"use strict";
+
+const LocalBackend = require('./local-backend.js');
+
+const base64Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decode base64 text to bytes.
+ * @returns {Uint8Array}
+ * @access private
+ */
+function decodeBase64(text) {
+  text = text.replace(/[\s=]+/g, '');
+  const bytes = new Uint8Array(Math.floor(text.length * 3 / 4));
+  let bits = 0;
+  let nbits = 0;
+  let j = 0;
+  for (let i = 0; i < text.length; i++) {
+    const value = base64Alphabet.indexOf(text.charAt(i));
+    if (value === -1) {
+      throw new Error('invalid data URL');
+    }
+    bits = ((bits << 6) | value) & 0xffff;
+    nbits += 6;
+    if (nbits >= 8) {
+      nbits -= 8;
+      bytes[j++] = (bits >> nbits) & 0xff;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Decode percent-encoded text to bytes; any non-escaped characters
+ * are taken as UTF-8.
+ * @returns {Uint8Array}
+ * @access private
+ */
+function decodePercent(text) {
+  const bytes = [];
+  text.split(/(%[0-9a-fA-F]{2})/).forEach((part) => {
+    if (/^%[0-9a-fA-F]{2}$/.test(part)) {
+      bytes.push(parseInt(part.substr(1), 16));
+    } else {
+      const utf8 = unescape(encodeURIComponent(part));
+      for (let i = 0; i < utf8.length; i++) {
+        bytes.push(utf8.charCodeAt(i));
+      }
+    }
+  });
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Decode a data: URL into its media type and bytes.
+ * @returns {Object} with type and bytes props
+ * @access private
+ */
+function decodeDataURL(url) {
+  const matches = url.match(/^data:([^,]*),(.*)$/i);
+  if (!matches) {
+    throw new Error('invalid data URL');
+  }
+  const params = matches[1].split(';');
+  const base64 = params[params.length - 1].toLowerCase() === 'base64';
+  if (base64) {
+    params.pop();
+  }
+  return {
+    type: params.join(';') || 'text/plain;charset=US-ASCII',
+    bytes: base64 ? decodeBase64(matches[2]) : decodePercent(matches[2])
+  };
+}
+
+/**
+ * Backend reading from data already in memory, passed as an ArrayBuffer
+ * or typed array, or encoded in a data: URL.
+ *
+ * Each chunk request gets a new backend, so a data: URL decoded by one
+ * is kept as its dataURL prop; passing that back in as the dataURL
+ * option saves the next one from decoding the whole thing again.
+ */
+class MemoryBackend extends LocalBackend {
+  constructor(options) {
+    super(options);
+    const data = options.data;
+    if (data instanceof ArrayBuffer) {
+      this.bytes = new Uint8Array(data);
+    } else if (data && ArrayBuffer.isView(data)) {
+      this.bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    } else if (typeof options.url === 'string' && /^data:/i.test(options.url)) {
+      this.dataURL = options.dataURL || decodeDataURL(options.url);
+      this.bytes = this.dataURL.bytes;
+      this.headers['content-type'] = this.dataURL.type;
+    } else {
+      throw new Error('invalid input');
+    }
+  }
+
+  // ---------------
+  // Private methods
+  // ---------------
+
+  openSource() {
+    return Promise.resolve(this.bytes.byteLength);
+  }
+
+  readSlice(start, end) {
+    // Copy out, so later changes to the source don't affect the cache.
+    return Promise.resolve(this.bytes.slice(start, end).buffer);
+  }
+
+}
+
+MemoryBackend.supported = function(options) {
+  if (options && !options.data && !/^data:/i.test(options.url)) {
+    return false;
+  }
+  return true;
+};
+
+module.exports = MemoryBackend;
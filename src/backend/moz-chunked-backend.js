@@ -1,10 +1,10 @@
 "use strict";
 
-const DownloadBackend = require('./download-backend.js');
+const XHRBackend = require('./xhr-backend.js');
 
 const type = 'moz-chunked-arraybuffer';
 
-class MozChunkedBackend extends DownloadBackend {
+class MozChunkedBackend extends XHRBackend {
   initXHR() {
     super.initXHR();
     this.xhr.responseType = type;
@@ -17,14 +17,22 @@ class MozChunkedBackend extends DownloadBackend {
   }
 }
 
-MozChunkedBackend.supported = function() {
-  try {
-    const xhr = new XMLHttpRequest();
-    xhr.responseType = type;
-    return (xhr.responseType === type);
-  } catch (e) {
+let hasType = null;
+
+MozChunkedBackend.supported = function(options) {
+  if (options && !MozChunkedBackend.isNetworkSource(options)) {
     return false;
   }
+  if (hasType === null) {
+    try {
+      const xhr = new XMLHttpRequest();
+      xhr.responseType = type;
+      hasType = (xhr.responseType === type);
+    } catch (e) {
+      hasType = false;
+    }
+  }
+  return hasType;
 };
 
 module.exports = MozChunkedBackend;
\ No newline at end of file
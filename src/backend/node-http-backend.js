@@ -0,0 +1,179 @@
+"use strict";
+
+const http = require('http');
+const https = require('https');
+
+const DownloadBackend = require('./download-backend.js');
+
+const maxRedirects = 10;
+
+/**
+ * Progressive download backend using node's native http/https modules,
+ * for CLI and server-side usage where there is no XMLHttpRequest.
+ */
+class NodeHTTPBackend extends DownloadBackend {
+  constructor(options) {
+    super(options);
+    this.request = null;
+    this.response = null;
+  }
+
+  // ---------------
+  // Private methods
+  // ---------------
+
+  sendRequest() {
+    this.sendRequestTo(this.requestInfo.url, this.requestInfo.headers, 0);
+  }
+
+  sendRequestTo(url, headers, redirects) {
+    let transport;
+    try {
+      const protocol = new URL(url).protocol;
+      if (protocol === 'http:') {
+        transport = http;
+      } else if (protocol === 'https:') {
+        transport = https;
+      } else {
+        throw new Error('unsupported protocol ' + protocol);
+      }
+    } catch (e) {
+      this.emit('error', e);
+      return;
+    }
+
+    const req = this.request = transport.get(url, {headers}, (res) => {
+      if (req !== this.request) {
+        res.resume();
+        return;
+      }
+      const status = res.statusCode;
+      const location = res.headers['location'];
+      if (status >= 300 && status < 400 && status !== 304 && location) {
+        // Follow redirects ourselves, as node's http doesn't.
+        res.resume();
+        if (redirects >= maxRedirects) {
+          this.emit('error', new Error('too many redirects'));
+        } else {
+          const target = new URL(location, url);
+          let nextHeaders = headers;
+          if (target.origin !== new URL(url).origin) {
+            // Don't leak credentials to another origin.
+            nextHeaders = {};
+            Object.keys(headers).forEach((name) => {
+              if (!/^(authorization|cookie)$/i.test(name)) {
+                nextHeaders[name] = headers[name];
+              }
+            });
+          }
+          this.sendRequestTo(target.toString(), nextHeaders, redirects + 1);
+        }
+        return;
+      }
+      this.response = res;
+      this.emit('response');
+    });
+    req.on('error', () => {
+      if (req === this.request) {
+        this.onRequestError();
+      }
+    });
+  }
+
+  abortRequest() {
+    const req = this.request;
+    this.request = null;
+    this.response = null;
+    if (req) {
+      req.destroy();
+    }
+  }
+
+  getResponseStatus() {
+    return this.response.statusCode;
+  }
+
+  getResponseHeader(name) {
+    const value = this.response.headers[name.toLowerCase()];
+    if (value === undefined) {
+      return null;
+    } else if (Array.isArray(value)) {
+      return value.join(', ');
+    } else {
+      return value;
+    }
+  }
+
+  getResponseHeaders() {
+    const headers = {};
+    Object.keys(this.response.headers).forEach((name) => {
+      headers[name] = this.getResponseHeader(name);
+    });
+    return headers;
+  }
+
+  onResponseStart() {
+    const req = this.request;
+    const res = this.response;
+    res.on('data', (chunk) => {
+      if (req === this.request) {
+        this.onResponseData(chunk);
+      }
+    });
+    res.on('end', () => {
+      if (req === this.request) {
+        this.onResponseEnd();
+      }
+    });
+    res.on('error', () => {
+      if (req === this.request) {
+        this.onRequestError();
+      }
+    });
+    res.on('aborted', () => {
+      // Connection dropped before the full response arrived.
+      if (req === this.request) {
+        this.onRequestError();
+      }
+    });
+
+    this.emit('open');
+  }
+
+  onResponseData(chunk) {
+    // Node buffers may be views into a shared pool; copy out our bytes.
+    const buffer = chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.byteLength);
+    if (buffer.byteLength > 0) {
+      this.bytesRead += buffer.byteLength;
+      this.emit('buffer', buffer);
+    }
+  }
+
+  onRequestError() {
+    // Ignore any further events from the failed request.
+    this.abortRequest();
+
+    const err = new Error('network error');
+    err.name = 'NetworkError';
+    this.emit('error', err);
+  }
+
+  onResponseEnd() {
+    this.eof = true;
+    this.emit('done');
+  }
+
+}
+
+NodeHTTPBackend.supported = function(options) {
+  if (options && !(NodeHTTPBackend.isNetworkSource(options) && /^https?:/i.test(options.url))) {
+    return false;
+  }
+  // Prefer the browser's own networking where available, eg in Electron.
+  return (typeof XMLHttpRequest === 'undefined') &&
+    (typeof http.get === 'function') &&
+    (typeof https.get === 'function') &&
+    (typeof URL === 'function');
+};
+
+module.exports = NodeHTTPBackend;
@@ -0,0 +1,109 @@
+"use strict";
+
+const DownloadBackend = require('./download-backend.js');
+
+/**
+ * Record the HTTP headers from the initial request, in case some are useful.
+ * @returns {Object} map of headers
+ * @access private
+ */
+function getXHRHeaders(xhr) {
+  const headers = {};
+  const headerLines = xhr.getAllResponseHeaders().split(/\r?\n/);
+  headerLines.forEach(function(line) {
+    const bits = line.split(/:\s*/, 2);
+    if (bits.length > 1) {
+      headers[bits[0].toLowerCase()] = bits[1];
+    }
+  });
+  return headers;
+}
+
+/**
+ * Progressive download backend using XMLHttpRequest.
+ * Subclasses handle details of strings/buffers.
+ */
+class XHRBackend extends DownloadBackend {
+  constructor(options) {
+    super(options);
+    this.xhr = null;
+  }
+
+  // ---------------
+  // Private methods
+  // ---------------
+
+  sendRequest() {
+    const xhr = this.xhr = new XMLHttpRequest();
+    this.initXHR();
+
+    xhr.addEventListener('readystatechange', () => {
+      // There doesn't seem to be a good match for readyState 2 on the XHR2 events model.
+      if (xhr === this.xhr && xhr.readyState == 2) {
+        this.emit('response');
+      }
+    });
+    xhr.addEventListener('error', () => {
+      if (xhr === this.xhr) {
+        this.onXHRError();
+      }
+    });
+
+    xhr.send();
+  }
+
+  abortRequest() {
+    if (this.xhr) {
+      this.xhr.abort();
+    }
+  }
+
+  getResponseStatus() {
+    return this.xhr.status;
+  }
+
+  getResponseHeader(name) {
+    return this.xhr.getResponseHeader(name);
+  }
+
+  getResponseHeaders() {
+    return getXHRHeaders(this.xhr);
+  }
+
+  initXHR() {
+    const info = this.requestInfo;
+    this.xhr.open("GET", info.url);
+    this.xhr.withCredentials = (this.credentials === 'include');
+
+    Object.keys(info.headers).forEach((name) => {
+      this.xhr.setRequestHeader(name, info.headers[name]);
+    });
+  }
+
+  onResponseStart() {
+    // Event handlers to drive output
+    const xhr = this.xhr;
+    xhr.addEventListener('progress', () => this.onXHRProgress());
+    xhr.addEventListener('load', () => this.onXHRLoad());
+
+    this.emit('open');
+  }
+
+  onXHRProgress() {
+    throw new Error('abstract');
+  }
+
+  onXHRError() {
+    const err = new Error('network error');
+    err.name = 'NetworkError';
+    this.emit('error', err);
+  }
+
+  onXHRLoad() {
+    this.eof = true;
+    this.emit('done');
+  }
+
+}
+
+module.exports = XHRBackend;
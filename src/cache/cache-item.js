@@ -1,7 +1,28 @@
 "use strict";
 
+/**
+ * Convert a binary string, as from XHR with the x-user-defined charset,
+ * to bytes. That charset maps bytes 0x80-0xff to U+F780-U+F7FF, so only
+ * the low byte of each character is kept.
+ * @param {string} string
+ * @returns {ArrayBuffer}
+ * @access private
+ */
+function stringToBuffer(string) {
+  const len = string.length;
+  const bytes = new Uint8Array(len);
+  for (let i = 0; i < len; i++) {
+    bytes[i] = string.charCodeAt(i) & 0xff;
+  }
+  return bytes.buffer;
+}
+
 /**
  * Double-linked list cache items
+ *
+ * Data may be given as an ArrayBuffer, or as a binary string which
+ * is converted to bytes up front, so reads are a plain copy and
+ * memory use matches the byte count.
  */
 class CacheItem {
   constructor({
@@ -22,8 +43,8 @@ class CacheItem {
     this.eof = eof;
     this.empty = empty;
     this.timestamp = timestamp;
-    this.buffer = buffer;
-    this.string = string;
+    this.hits = 0;
+    this.buffer = string ? stringToBuffer(string) : buffer;
     Object.defineProperty(this, 'length', {
       get: function() {
         return this.end - this.start;
@@ -39,27 +60,47 @@ class CacheItem {
     return (offset >= this.start) && (offset < this.end || this.eof);
   }
 
-  readBytes(dest, start, end) {
+  readBytes(dest, start, end, touch=true) {
     const readHead = start - this.start;
     const len = end - start;
     if (this.buffer) {
       const sourceBytes = new Uint8Array(this.buffer, readHead, len);
       dest.set(sourceBytes);
-    } else if (this.string) {
-      const chunk = this.string;
-      for (let i = 0; i < len; i++) {
-        dest[i] = chunk.charCodeAt(readHead + i);
-      }
     } else {
       throw new Error('invalid state');
     }
-    this.timestamp = Date.now();
+    if (touch) {
+      this.timestamp = Date.now();
+      this.hits++;
+    }
   }
 
+  /**
+   * Split into two items at the given offset. Data items copy their
+   * bytes out into the two halves, which keep the use stats.
+   * @param {number} offset
+   * @returns {Array<CacheItem>}
+   */
   split(offset) {
-    if (!this.empty || !this.contains(offset)) {
+    if (!this.contains(offset) || (!this.empty && offset === this.start)) {
       throw new Error('invalid split');
     }
+    if (!this.empty) {
+      const a = new CacheItem({
+        start: this.start,
+        buffer: this.buffer.slice(0, offset - this.start),
+        timestamp: this.timestamp
+      });
+      const b = new CacheItem({
+        start: offset,
+        buffer: this.buffer.slice(offset - this.start, this.length),
+        timestamp: this.timestamp
+      });
+      a.hits = b.hits = this.hits;
+      a.next = b;
+      b.prev = a;
+      return [a, b];
+    }
     const a = new CacheItem({
       start: this.start,
       end: offset
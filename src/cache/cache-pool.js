@@ -1,15 +1,24 @@
 "use strict";
 
 const CacheItem = require('./cache-item.js');
+const CacheWriter = require('./cache-writer.js');
+const EvictionPolicy = require('./eviction-policy.js');
 
 /**
  * Seekable, readable, writable buffer cache to represent a file.
- * @todo add max cache size and LRU cache expiration
+ *
+ * Past cacheSize bytes, data is evicted in the order given by an
+ * EvictionPolicy, except within a protected window around the read head
+ * and any additional read cursors, data running on from them to a write
+ * head still filling it in, and the last bytes written by each write head.
+ * Pinned ranges are never evicted, and count against pinnedSize instead.
+ * Small writes are gathered into items of up to blockSize bytes.
  *
  * Internally, will always contain entries from 0 to some given out point.
  * Each item may either contain data, or be empty.
  * Empty ranges cannot be copied out via read(), non-empty ranges can.
  * Empty ranges can be filled up with write(), non-empty ranges cannot.
+ * Additional write heads may be opened to fill several ranges at once.
  *
  * Internal invariants:
  * - head and tail are always present, may be same for empty
@@ -19,17 +28,56 @@ const CacheItem = require('./cache-item.js');
  * - empty items are never adjacent to each other
  */
 class CachePool {
+  /**
+   * @param {Object} options
+   * @param {number} options.cacheSize - max bytes to keep before evicting
+   * @param {string|Object} options.policy - 'lru', 'lfu', 'distance' or a policy object
+   * @param {number} options.protectBehind - bytes before the read head and cursors never to evict
+   * @param {number} options.protectAhead - bytes after the read head and cursors never to evict
+   * @param {number} options.pinnedSize - max bytes that may be pinned
+   * @param {number} options.blockSize - size of blocks to gather writes smaller than this into
+   */
   constructor({
-    cacheSize=0
+    cacheSize=0,
+    policy='lru',
+    protectBehind=0,
+    protectAhead=Infinity,
+    pinnedSize=Infinity,
+    blockSize=64 * 1024
   }={}) {
     const eof = new CacheItem({eof: true});
     this.head = eof;
     this.tail = eof;
     this.readOffset = 0;
     this.readCursor = eof;
-    this.writeOffset = 0;
-    this.writeCursor = eof;
+    this.writers = [];
+    this.writer = new CacheWriter(this, 0);
     this.cacheSize = cacheSize;
+    this.blockSize = blockSize;
+    this.policy = EvictionPolicy.from(policy);
+    this.protectBehind = protectBehind;
+    this.protectAhead = protectAhead;
+    this.pinnedSize = pinnedSize;
+    // Sorted, non-overlapping [start, end] pairs
+    this.pins = [];
+    // [start, end] pairs, kept until released
+    this.holds = [];
+    // Read cursors besides the read head
+    this.cursors = [];
+  }
+
+  /**
+   * Offset of the default write head.
+   */
+  get writeOffset() {
+    return this.writer.offset;
+  }
+
+  /**
+   * Cache item at the default write head.
+   */
+  get writeCursor() {
+    return this.writer.cursor;
   }
 
   /**
@@ -45,8 +93,21 @@ class CachePool {
    * @returns {number} 0 or more
    */
   bytesReadable(max=Infinity) {
-    const offset = this.readOffset;
-    const cursor = this.readCursor;
+    return this.bytesReadableAt(this.readOffset, max, this.readCursor);
+  }
+
+  /**
+   * Count how many bytes are available from the given offset,
+   * without regard to the read head.
+   * @param {number} offset - bytes from beginning of virtual file
+   * @param {number} max - optional maximum to read
+   * @param {CacheItem} cursor - optional item containing offset, to start the search at
+   * @returns {number} 0 or more
+   */
+  bytesReadableAt(offset, max=Infinity, cursor=null) {
+    if (!cursor) {
+      cursor = this.head.first((item) => item.contains(offset));
+    }
     let last = cursor.last((item) => !item.empty && item.start <= offset + max);
     if (last) {
       return Math.min(max, last.end - offset);
@@ -60,16 +121,7 @@ class CachePool {
    * @returns {number} 0 or more, or +Infinity
    */
   bytesWritable(max=Infinity) {
-    const offset = this.writeOffset;
-    const cursor = this.writeCursor;
-    if (cursor.eof) {
-      return max;
-    }
-    let last = cursor.last((item) => item.empty && item.start <= offset + max);
-    if (last) {
-      return Math.min(max, last.end - offset);
-    }
-    return 0;
+    return this.writer.bytesWritable(max);
   }
 
   /**
@@ -92,12 +144,7 @@ class CachePool {
    * @param {number} offset - bytes from beginning of virtual file to write to
    */
   seekWrite(offset) {
-    let target = this.head.first((item) => item.contains(offset));
-    if (!target) {
-      throw new Error('write seek out of range');
-    }
-    this.writeOffset = offset;
-    this.writeCursor = target;
+    this.writer.seek(offset);
   }
 
   /**
@@ -110,14 +157,49 @@ class CachePool {
    * @returns {number} - count of bytes actually read
    */
   readBytes(dest) {
-    const nbytes = dest.byteLength;
-    const len = this.bytesReadable(nbytes);
-    const start = this.readOffset;
+    const len = this.copyBytes(this.readOffset, dest, this.readCursor);
+    const readHead = this.readOffset + len;
+    this.readOffset = readHead;
+    this.readCursor = this.readCursor.first((item) => item.contains(readHead));
+
+    return len;
+  }
+
+  /**
+   * Read up to the requested number of bytes from the given offset, or
+   * however much is available until the next empty segment, without
+   * moving the read head.
+   *
+   * @param {number} offset - bytes from beginning of virtual file to read from
+   * @param {Uint8Array} dest - destination array to read to
+   * @returns {number} - count of bytes actually read
+   */
+  readBytesAt(offset, dest) {
+    return this.copyBytes(offset, dest);
+  }
+
+  /**
+   * Like readBytesAt(), but without counting as a use of the data
+   * for the eviction policy.
+   *
+   * @param {number} offset - bytes from beginning of virtual file to read from
+   * @param {Uint8Array} dest - destination array to read to
+   * @returns {number} - count of bytes actually read
+   */
+  peekBytesAt(offset, dest) {
+    return this.copyBytes(offset, dest, null, false);
+  }
+
+  copyBytes(offset, dest, cursor=null, touch=true) {
+    if (!cursor) {
+      cursor = this.head.first((item) => item.contains(offset));
+    }
+    const len = this.bytesReadableAt(offset, dest.byteLength, cursor);
+    const start = offset;
     const end = start + len;
 
     let readHead = start;
-    let writeHead = 0;
-    for (let item = this.readCursor; item; item = item.next) {
+    for (let item = cursor; item; item = item.next) {
       if (item.empty) {
         break;
       }
@@ -126,12 +208,9 @@ class CachePool {
       }
       const readTail = Math.min(end, item.end);
       const chunk = dest.subarray(readHead - start, readTail - start);
-      item.readBytes(chunk, readHead, readTail);
+      item.readBytes(chunk, readHead, readTail, touch);
       readHead = readTail;
     }
-    this.readOffset = readHead;
-    this.readCursor = this.readCursor.first((item) => item.contains(readHead));
-
     return len;
   }
 
@@ -141,49 +220,146 @@ class CachePool {
    * @param {ArrayBuffer|String} buffer
    */
   write(buffer) {
-    let item = this.bufferItem(buffer);
-    let cursor = this.writeCursor;
+    this.writer.write(buffer);
+  }
 
-    if (!cursor.empty) {
-      throw new Error('write cursor not empty');
-    }
-    if (!cursor.contains(item.end) && cursor.end !== item.end) {
-      throw new Error('write cursor too small');
-    }
+  /**
+   * Open an additional write head at the given offset, so several
+   * downloads can fill different empty ranges at once. Open writers
+   * don't write over each other: bytesWritable() stops at the next one.
+   * @param {number} offset - bytes from beginning of virtual file to write to
+   * @returns {CacheWriter}
+   */
+  openWriter(offset) {
+    const writer = new CacheWriter(this, offset);
+    this.writers.push(writer);
+    return writer;
+  }
 
-    if (cursor.start < item.start) {
-      this.split(cursor, item.start);
-      cursor = this.writeCursor;
-    }
+  /**
+   * Release a write head from openWriter(), freeing up its reserved space.
+   * @param {CacheWriter} writer
+   */
+  closeWriter(writer) {
+    writer.close();
+    this.writers = this.writers.filter((w) => w !== writer);
+  }
 
-    if (item.end < cursor.end || cursor.eof) {
-      this.split(cursor, item.end);
-      cursor = this.writeCursor;
+  /**
+   * Pin a byte range so data within it is never evicted.
+   * Overlapping and adjacent pins are merged.
+   * @param {number} start - first byte offset to pin
+   * @param {number} end - offset to stop at, exclusive
+   */
+  pin(start, end) {
+    const pins = this.pins.concat([[start, end]]).sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    pins.forEach((range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([range[0], range[1]]);
+      }
+    });
+    let total = 0;
+    merged.forEach((range) => {
+      total += range[1] - range[0];
+    });
+    if (total > this.pinnedSize) {
+      throw new Error('pinned size exceeded');
     }
+    this.pins = merged;
+  }
+
+  /**
+   * Unpin a byte range, or everything if no range is given.
+   * Data there may be evicted again.
+   * @param {number} start - first byte offset to unpin
+   * @param {number} end - offset to stop at, exclusive
+   */
+  unpin(start=0, end=Infinity) {
+    const pins = [];
+    this.pins.forEach((range) => {
+      if (range[0] < start) {
+        pins.push([range[0], Math.min(range[1], start)]);
+      }
+      if (range[1] > end) {
+        pins.push([Math.max(range[0], end), range[1]]);
+      }
+    });
+    this.pins = pins;
+  }
 
-    this.splice(cursor, cursor, item, item);
-    this.writeOffset = item.end;
-    this.writeCursor = item.next;
+  /**
+   * Register an additional read cursor, whose window around its offset
+   * is protected from eviction like the read head's.
+   * @param {Object} cursor - object with an offset property
+   */
+  addCursor(cursor) {
+    this.cursors.push(cursor);
+  }
 
-    this.gc();
+  /**
+   * Unregister a cursor from addCursor().
+   * @param {Object} cursor
+   */
+  removeCursor(cursor) {
+    this.cursors = this.cursors.filter((c) => c !== cursor);
   }
 
-  bufferItem(buffer) {
-    if (buffer instanceof ArrayBuffer) {
-      return new CacheItem({
-        start: this.writeOffset,
-        end: this.writeOffset + buffer.byteLength,
-        buffer: buffer
-      });
-    } else if (typeof buffer === 'string') {
-      return new CacheItem({
-        start: this.writeOffset,
-        end: this.writeOffset + buffer.length,
-        string: buffer
-      });
-    } else {
-      throw new Error('invalid input to write');
+  /**
+   * Offsets of the read head and any additional cursors.
+   * @returns {Array<number>}
+   */
+  readOffsets() {
+    return [this.readOffset].concat(this.cursors.map((cursor) => cursor.offset));
+  }
+
+  /**
+   * Keep a byte range from being evicted until released, such as while
+   * waiting to read from it. Unlike pins, held data counts against cacheSize.
+   * @param {number} start - first byte offset to hold
+   * @param {number} end - offset to stop at, exclusive
+   * @returns {Array<number>} - hold to pass to release()
+   */
+  hold(start, end) {
+    const hold = [start, end];
+    this.holds.push(hold);
+    return hold;
+  }
+
+  /**
+   * Release a hold from hold().
+   * @param {Array<number>} hold
+   */
+  release(hold) {
+    this.holds = this.holds.filter((h) => h !== hold);
+  }
+
+  /**
+   * True if any part of the given item lies within a pinned range.
+   * @param {CacheItem} item
+   * @returns {boolean}
+   */
+  pinned(item) {
+    return this.pins.some((range) => item.start < range[1] && item.end > range[0]);
+  }
+
+  /**
+   * Return an array of the empty ranges between the given offsets.
+   * @param {number} start
+   * @param {number} end
+   * @returns {Array<Array<number>>}
+   */
+  gaps(start, end) {
+    const gaps = [];
+    for (let item = this.head; item && item.start < end; item = item.next) {
+      if (item.empty && (item.end > start || item.eof)) {
+        gaps.push([Math.max(start, item.start), item.eof ? end : Math.min(end, item.end)]);
+      }
     }
+    return gaps;
   }
 
   split(oldItem, offset) {
@@ -192,7 +368,9 @@ class CachePool {
   }
 
   /**
-   * Return an array of arrays of consolidated cached ranges
+   * Return an array of arrays of consolidated cached ranges.
+   * Ranges are split where pins begin and end; pinned ones
+   * have a third element, true.
    */
   ranges() {
     let ranges = [];
@@ -206,30 +384,83 @@ class CachePool {
       ranges.push([start.start, item.end]);
     }
 
-    return ranges;
+    if (!this.pins.length) {
+      return ranges;
+    }
+    const split = [];
+    ranges.forEach((range) => {
+      let offset = range[0];
+      this.pins.forEach((pin) => {
+        const pinStart = Math.max(offset, pin[0]);
+        const pinEnd = Math.min(range[1], pin[1]);
+        if (pinStart < pinEnd) {
+          if (offset < pinStart) {
+            split.push([offset, pinStart]);
+          }
+          split.push([pinStart, pinEnd, true]);
+          offset = pinEnd;
+        }
+      });
+      if (offset < range[1]) {
+        split.push([offset, range[1]]);
+      }
+    });
+    return split;
   }
 
+  /**
+   * Evict items outside the protected window and holds, in policy order,
+   * until the cache fits in cacheSize. Pinned data doesn't count.
+   */
   gc() {
-    // Simple gc: look at anything not between read head and write head,
-    // and discard the oldest items until we have room
+    // The protected bytes around the read head and each cursor are about
+    // to be read, as is data running on from one up to a write head still
+    // filling it in. Elsewhere, write heads keep only the last protectAhead
+    // bytes they wrote, so a far-off download doesn't hold everything
+    // between it and the read head.
+    // Data running over a pin boundary is split there, so only the
+    // pinned bytes are exempt from cacheSize.
+    this.pins.forEach((range) => {
+      range.forEach((offset) => {
+        const item = this.head.first((i) => i.contains(offset));
+        if (item && !item.empty && item.start < offset) {
+          this.split(item, offset);
+        }
+      });
+    });
+
+    const writers = [this.writer].concat(this.writers);
+    const windows = this.readOffsets().map((offset) => {
+      const tail = offset + this.bytesReadableAt(offset);
+      const filling = writers.some((writer) => writer.offset === tail);
+      return [offset - this.protectBehind, Math.max(offset + this.protectAhead, filling ? tail : 0)];
+    });
+    writers.forEach((writer) => {
+      windows.push([writer.offset - this.protectAhead, writer.offset]);
+    });
+
     let cachedBytes = 0;
     let candidates = [];
     for (let item = this.head; item; item = item.next) {
-      if (!item.empty) {
+      if (!item.empty && !this.pinned(item)) {
         cachedBytes += item.length;
-        if (item.end < this.readOffset || item.start > this.readOffset + this.chunkSize) {
-          // Not in the 'hot' readahead range
-          candidates.push(item);
+        const held = this.holds.some((hold) => item.start < hold[1] && item.end > hold[0]);
+        const outside = windows.every((range) => item.end <= range[0] || item.start >= range[1]);
+        if (!held && outside) {
+          candidates.push({
+            item: item,
+            rank: this.policy.rank(item, this)
+          });
         }
       }
     }
     if (cachedBytes > this.cacheSize) {
       candidates.sort((a, b) => {
-        return a.timestamp - b.timestamp;
+        return (a.rank - b.rank) || (a.item.timestamp - b.item.timestamp);
       });
 
       for (let i = 0; i < candidates.length; i++) {
-        let item = candidates[i];
+        let item = candidates[i].item;
         if (cachedBytes <= this.cacheSize) {
           break;
         }
@@ -251,7 +482,7 @@ class CachePool {
     if (item.prev && item.prev.empty) {
       item = this.consolidate(item.prev);
     }
-    if (item.next && item.next.empty && !item.next.eof) {
+    if (item.next && item.next.empty) {
       item = this.consolidate(item);
     }
     if (item.start === 0) {
@@ -259,11 +490,19 @@ class CachePool {
     }
   }
 
+  /**
+   * Merge a run of empty items into one. A run ending at the eof item
+   * becomes the new eof item, so a write head seeking past the old end
+   * doesn't leave two empty items side by side.
+   * @param {CacheItem} first - first empty item of the run
+   * @returns {CacheItem} - the merged item
+   */
   consolidate(first) {
-    const last = first.last((item) => item.empty && !item.eof);
+    const last = first.last((item) => item.empty);
     const replacement = new CacheItem({
       start: first.start,
-      end: last.end
+      end: last.eof ? first.start : last.end,
+      eof: last.eof
     });
     this.splice(first, last, replacement, replacement);
     return replacement;
@@ -302,7 +541,9 @@ class CachePool {
       this.tail = newTail;
     }
     this.readCursor = this.head.first((item) => item.contains(this.readOffset));
-    this.writeCursor = this.head.first((item) => item.contains(this.writeOffset));
+    [this.writer].concat(this.writers).forEach((writer) => {
+      writer.cursor = this.head.first((item) => item.contains(writer.offset));
+    });
   }
 
 }
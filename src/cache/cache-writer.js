@@ -0,0 +1,170 @@
+"use strict";
+
+const CacheItem = require('./cache-item.js');
+
+/**
+ * Write head into a CachePool, filling empty ranges with data
+ * as it arrives. Each concurrent download writes through its own.
+ *
+ * Small writes are copied into preallocated blocks of the pool's
+ * blockSize, each following write growing the same block until it's
+ * full, so a stream of tiny network chunks doesn't become a long list
+ * of tiny cache items.
+ *
+ * The pool keeps the cursor updated as the item list changes.
+ */
+class CacheWriter {
+  constructor(pool, offset=0) {
+    this.pool = pool;
+    this.offset = 0;
+    this.cursor = pool.head;
+    // Block item being filled, if any
+    this.block = null;
+    this.seek(offset);
+  }
+
+  /**
+   * Count how many bytes are available to write, stopping short of
+   * cached data and of any other open writer's position.
+   * @param {number} max - optional maximum to write
+   * @returns {number} 0 or more, or +Infinity
+   */
+  bytesWritable(max=Infinity) {
+    const offset = this.offset;
+    const cursor = this.cursor;
+    let writable = 0;
+    if (cursor.eof) {
+      writable = max;
+    } else {
+      let last = cursor.last((item) => item.empty && item.start <= offset + max);
+      if (last) {
+        writable = Math.min(max, last.end - offset);
+      }
+    }
+    this.pool.writers.forEach((writer) => {
+      if (writer !== this && writer.offset >= offset) {
+        writable = Math.min(writable, writer.offset - offset);
+      }
+    });
+    return writable;
+  }
+
+  /**
+   * Move the write head to a given offset. The write head can move beyond the
+   * currently known end of the file, but cannot move before 0.
+   * @param {number} offset - bytes from beginning of virtual file to write to
+   */
+  seek(offset) {
+    let target = this.pool.head.first((item) => item.contains(offset));
+    if (!target) {
+      throw new Error('write seek out of range');
+    }
+    this.offset = offset;
+    this.cursor = target;
+  }
+
+  /**
+   * Stop filling the current block, trimming off its unused space.
+   */
+  close() {
+    const block = this.block;
+    this.block = null;
+    // Skip it if it's been evicted from the list already.
+    if (block && block.next && block.length < block.buffer.byteLength) {
+      const item = new CacheItem({
+        start: block.start,
+        end: block.end,
+        buffer: block.buffer.slice(0, block.length),
+        timestamp: block.timestamp
+      });
+      item.hits = block.hits;
+      this.pool.splice(block, block, item, item);
+    }
+  }
+
+  /**
+   * Write a data buffer at the write head and advance the write head.
+   * The data must fit in the available empty space in the buffer cache.
+   * Binary strings are converted to bytes as they're written.
+   * @param {ArrayBuffer|String} buffer
+   */
+  write(buffer) {
+    const pool = this.pool;
+    const block = this.block;
+    let item = this.bufferItem(buffer);
+    let cursor = this.cursor;
+    let head = null;
+
+    if (!cursor.empty) {
+      throw new Error('write cursor not empty');
+    }
+    if (!cursor.contains(item.end) && cursor.end !== item.end) {
+      throw new Error('write cursor too small');
+    }
+    if (item.length === 0) {
+      return;
+    }
+
+    if (item.buffer && item.length < pool.blockSize) {
+      if (block && block.next === cursor && item.end - block.start <= block.buffer.byteLength) {
+        // Grow the block we were filling over the new data.
+        new Uint8Array(block.buffer, item.start - block.start).set(new Uint8Array(item.buffer));
+        head = block;
+        item = new CacheItem({
+          start: block.start,
+          end: item.end,
+          buffer: block.buffer
+        });
+        item.hits = block.hits;
+      } else {
+        // Start a new block.
+        const bytes = new Uint8Array(pool.blockSize);
+        bytes.set(new Uint8Array(item.buffer));
+        item = new CacheItem({
+          start: item.start,
+          end: item.end,
+          buffer: bytes.buffer
+        });
+      }
+      this.block = item;
+    } else {
+      this.block = null;
+    }
+
+    if (cursor.start < this.offset) {
+      pool.split(cursor, this.offset);
+      cursor = this.cursor;
+    }
+
+    if (item.end < cursor.end || cursor.eof) {
+      pool.split(cursor, item.end);
+      cursor = this.cursor;
+    }
+
+    pool.splice(head || cursor, cursor, item, item);
+    this.offset = item.end;
+    this.cursor = item.next;
+
+    pool.gc();
+  }
+
+  bufferItem(buffer) {
+    if (buffer instanceof ArrayBuffer) {
+      return new CacheItem({
+        start: this.offset,
+        end: this.offset + buffer.byteLength,
+        buffer: buffer
+      });
+    } else if (typeof buffer === 'string') {
+      return new CacheItem({
+        start: this.offset,
+        end: this.offset + buffer.length,
+        string: buffer
+      });
+    } else {
+      throw new Error('invalid input to write');
+    }
+  }
+}
+
+module.exports = CacheWriter;
@@ -0,0 +1,89 @@
+"use strict";
+
+/**
+ * Decides which cached items CachePool.gc() discards first, once
+ * the protected window around the read head is set aside.
+ *
+ * Subclasses or compatible objects implement rank(); the base class
+ * ranks by last use, as LRUPolicy does.
+ */
+class EvictionPolicy {
+  /**
+   * Score a cached item for eviction. Lower scores are evicted first;
+   * ties go to the least recently used.
+   * @param {CacheItem} item - non-empty item outside the protected window
+   * @param {CachePool} pool
+   * @returns {number}
+   */
+  rank(item, pool) {
+    return item.timestamp;
+  }
+}
+
+/**
+ * Evict the least recently read or written items first.
+ */
+class LRUPolicy extends EvictionPolicy {
+}
+
+/**
+ * Evict the least often read items first, keeping ranges that are
+ * returned to again and again such as a video's opening seconds.
+ */
+class LFUPolicy extends EvictionPolicy {
+  rank(item, pool) {
+    return item.hits;
+  }
+}
+
+/**
+ * Evict the items furthest from the read head and any cursors first,
+ * in either direction, keeping what's nearby for seeking back and forth.
+ */
+class DistancePolicy extends EvictionPolicy {
+  rank(item, pool) {
+    let distance = Infinity;
+    pool.readOffsets().forEach((offset) => {
+      if (item.end <= offset) {
+        distance = Math.min(distance, offset - item.end);
+      } else {
+        distance = Math.min(distance, Math.max(0, item.start - offset));
+      }
+    });
+    return -distance;
+  }
+}
+
+EvictionPolicy.LRUPolicy = LRUPolicy;
+EvictionPolicy.LFUPolicy = LFUPolicy;
+EvictionPolicy.DistancePolicy = DistancePolicy;
+
+/**
+ * Built-in policies by name.
+ */
+EvictionPolicy.policies = {
+  lru: LRUPolicy,
+  lfu: LFUPolicy,
+  distance: DistancePolicy
+};
+
+/**
+ * Get a policy object from a built-in policy name, or pass through
+ * an object with its own rank() method.
+ * @param {string|Object} policy
+ * @returns {Object}
+ */
+EvictionPolicy.from = function(policy) {
+  if (typeof policy === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(EvictionPolicy.policies, policy)) {
+      throw new Error('unknown eviction policy ' + policy);
+    }
+    return new EvictionPolicy.policies[policy]();
+  } else if (policy && typeof policy.rank === 'function') {
+    return policy;
+  } else {
+    throw new Error('invalid input');
+  }
+};
+
+module.exports = EvictionPolicy;
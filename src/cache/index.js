@@ -1,3 +1,7 @@
 "use strict";
 
-module.exports = require('./cache-pool.js');
+const CachePool = require('./cache-pool.js');
+
+CachePool.EvictionPolicy = require('./eviction-policy.js');
+
+module.exports = CachePool;
@@ -0,0 +1,34 @@
+"use strict";
+
+/**
+ * Create an error to reject with when an operation is canceled,
+ * matching the DOMException thrown by fetch() and friends where available.
+ * @returns {Error}
+ */
+function abortError() {
+  if (typeof DOMException === 'function') {
+    return new DOMException('Aborted', 'AbortError');
+  }
+  const err = new Error('Aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Create an error to reject with when an operation times out,
+ * matching the DOMException from AbortSignal.timeout() where available.
+ * @returns {Error}
+ */
+function timeoutError(message) {
+  if (typeof DOMException === 'function') {
+    return new DOMException(message, 'TimeoutError');
+  }
+  const err = new Error(message);
+  err.name = 'TimeoutError';
+  return err;
+}
+
+module.exports = {
+  abortError,
+  timeoutError
+};
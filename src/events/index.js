@@ -6,15 +6,52 @@ class TinyEvents {
     this._e = {};
   }
 
-  on(name, handler) {
+  /**
+   * Add an event listener.
+   * @param {string} name - event name
+   * @param {function} handler - called with the event's argument
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal that removes the listener
+   */
+  on(name, handler, {signal=null}={}) {
+    if (signal) {
+      if (signal.aborted) {
+        return;
+      }
+      signal.addEventListener('abort', () => this.off(name, handler), {once: true});
+    }
     (this._e[name] || (this._e[name] = [])).push(handler);
   }
 
+  /**
+   * Add an event listener that is removed after it's called once.
+   * @param {string} name - event name
+   * @param {function} handler - called with the event's argument
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal that removes the listener
+   */
+  once(name, handler, options) {
+    const wrapper = (arg) => {
+      this.off(name, wrapper);
+      handler(arg);
+    };
+    wrapper.handler = handler;
+    this.on(name, wrapper, options);
+  }
+
+  /**
+   * Remove an event listener.
+   * @param {string} name - event name
+   * @param {function} handler - handler passed to on() or once()
+   */
   off(name, handler) {
     const l = (this._e[name] || []);
-    const i = l.indexOf(handler);
-    if (handler >= 0) {
-      l.splice(i, 1);
+    for (let i = 0; i < l.length; i++) {
+      // once() listeners may be removed by their original handler.
+      if (l[i] === handler || l[i].handler === handler) {
+        l.splice(i, 1);
+        break;
+      }
     }
   }
 
@@ -0,0 +1,101 @@
+"use strict";
+
+const ReadRange = require('../read-range');
+
+/**
+ * Async iterator over ArrayBuffer chunks of a StreamFile, for use
+ * with for-await or by calling next() directly.
+ *
+ * Reads go through the stream's read() method, so the read head moves
+ * along with the iteration and the usual state rules apply: don't call
+ * other i/o methods on the stream while a next() call is pending.
+ */
+class ChunkIterator {
+  /**
+   * @param {StreamFile} stream
+   * @param {Object} options
+   * @param {number} options.size - max bytes per chunk
+   * @param {number} options.start - optional offset to seek to before reading
+   * @param {number} options.end - optional offset to stop at, exclusive
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
+   */
+  constructor(stream, {size=65536, start=undefined, end=undefined, signal=null}={}) {
+    if (size !== (size | 0) || size <= 0) {
+      throw new Error('invalid input');
+    }
+    this.stream = stream;
+    this.size = size;
+    this.range = new ReadRange(stream, {start, end});
+    this.signal = signal;
+    this.done = false;
+
+    // Serialize next() calls so they can't overlap on the stream.
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Read the next chunk.
+   * @returns {Promise} - resolved with {value, done}
+   */
+  next() {
+    const result = this._queue.then(() => this._next());
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Stop iterating, canceling any readahead download.
+   * Called automatically when breaking out of a for-await loop.
+   * @returns {Promise} - resolved with {value: undefined, done: true}
+   */
+  return() {
+    if (!this.done) {
+      this.done = true;
+      this.range.cancel();
+    }
+    return Promise.resolve({
+      value: undefined,
+      done: true
+    });
+  }
+
+  _next() {
+    if (this.done) {
+      return Promise.resolve({
+        value: undefined,
+        done: true
+      });
+    }
+    return this.range.begin(this.signal).then(() => {
+      const stream = this.stream;
+      const nbytes = this.range.clamp(this.size);
+      if (this.done || nbytes <= 0 || stream.eof) {
+        return 0;
+      }
+      return stream.read(nbytes, {signal: this.signal});
+    }).then((buffer) => {
+      if (!buffer || buffer.byteLength === 0) {
+        this.done = true;
+        return {
+          value: undefined,
+          done: true
+        };
+      }
+      return {
+        value: buffer,
+        done: false
+      };
+    }).catch((err) => {
+      this.done = true;
+      throw err;
+    });
+  }
+}
+
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  ChunkIterator.prototype[Symbol.asyncIterator] = function() {
+    return this;
+  };
+}
+
+module.exports = ChunkIterator;
@@ -0,0 +1,69 @@
+"use strict";
+
+const nodeStream = require('stream');
+
+const ReadRange = require('../read-range');
+
+/**
+ * Create a node stream.Readable reading from a StreamFile.
+ *
+ * Each _read() call waits on buffer() for up to the requested size and
+ * copies the data out with readBytes(), so no more is read than the
+ * consumer asks for. Destroying the stream before it ends cancels the
+ * StreamFile's readahead download, and failures are emitted as 'error' events.
+ *
+ * @param {StreamFile} stream
+ * @param {Object} options
+ * @param {number} options.start - optional offset to seek to before reading
+ * @param {number} options.end - optional offset to stop at, exclusive
+ * @param {number} options.highWaterMark - max bytes to hold in the Readable's queue
+ * @returns {stream.Readable}
+ */
+function createReadStream(stream, {start=undefined, end=undefined, highWaterMark=65536}={}) {
+  if (typeof nodeStream.Readable !== 'function') {
+    throw new Error('stream.Readable not supported');
+  }
+  const range = new ReadRange(stream, {start, end});
+  let ended = false;
+
+  const readable = new nodeStream.Readable({
+    highWaterMark,
+
+    read(size) {
+      range.begin().then(() => {
+        const nbytes = range.clamp(size);
+        if (nbytes <= 0 || stream.eof) {
+          return 0;
+        }
+        return stream.buffer(nbytes);
+      }).then((available) => {
+        if (readable.destroyed) {
+          return;
+        }
+        if (available === 0) {
+          ended = true;
+          readable.push(null);
+        } else {
+          const buffer = Buffer.allocUnsafe(available);
+          readable.push(buffer.slice(0, stream.readBytes(buffer)));
+        }
+      }).catch((err) => {
+        if (!readable.destroyed) {
+          readable.destroy(err);
+        }
+      });
+    },
+
+    destroy(err, callback) {
+      // Node destroys streams after they end, too; leave the
+      // readahead running then for whatever reads come next.
+      if (err || !ended) {
+        range.cancel();
+      }
+      callback(err);
+    }
+  });
+  return readable;
+}
+
+module.exports = createReadStream;
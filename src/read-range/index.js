@@ -0,0 +1,70 @@
+"use strict";
+
+/**
+ * Range of a StreamFile to read through, from an optional start offset
+ * to an optional end.
+ */
+class ReadRange {
+  /**
+   * @param {StreamFile} stream
+   * @param {Object} options
+   * @param {number} options.start - optional offset to seek to before reading
+   * @param {number} options.end - optional offset to stop at, exclusive
+   */
+  constructor(stream, {start=undefined, end=undefined}={}) {
+    if (start !== undefined && (start !== (start | 0) || start < 0)) {
+      throw new Error('invalid input');
+    }
+    if (end !== undefined && (end !== (end | 0) || end < 0)) {
+      throw new Error('invalid input');
+    }
+    this.stream = stream;
+    this.start = start;
+    this.end = end;
+    this._started = null;
+  }
+
+  /**
+   * Load the stream if needed and seek to the start offset, the first
+   * time it's called; later calls return the same promise.
+   * @param {AbortSignal} signal - optional AbortSignal to cancel with
+   * @returns {Promise}
+   */
+  begin(signal=null) {
+    if (!this._started) {
+      const stream = this.stream;
+      this._started = (stream.loaded ? Promise.resolve() : stream.load({signal})).then(() => {
+        if (this.start !== undefined && this.start !== stream.offset) {
+          return stream.seek(this.start, {signal});
+        }
+        return undefined;
+      });
+    }
+    return this._started;
+  }
+
+  /**
+   * Limit a read size so it doesn't go past the end offset.
+   * @param {number} nbytes - requested byte count
+   * @returns {number} - up to nbytes, or 0 or less at the end
+   */
+  clamp(nbytes) {
+    if (this.end !== undefined) {
+      return Math.min(nbytes, this.end - this.stream.offset);
+    }
+    return nbytes;
+  }
+
+  /**
+   * Cancel the readahead download when reading stops early; see
+   * StreamFile's _cancelReadAhead().
+   */
+  cancel() {
+    const stream = this.stream;
+    if (stream.loaded && !stream.eof) {
+      stream._cancelReadAhead();
+    }
+  }
+}
+
+module.exports = ReadRange;
@@ -0,0 +1,178 @@
+"use strict";
+
+const {abortError} = require('../errors');
+
+/**
+ * Read cursor from StreamFile.createReader(), with its own read position
+ * over the parent stream's cache and downloads.
+ *
+ * Reading doesn't move the stream's read head or other readers, so
+ * several parts of a file can be consumed at different rates. The usual
+ * state rules apply per reader: don't call other i/o methods on a reader
+ * while its buffer() or read() call is pending.
+ */
+class StreamReader {
+  /**
+   * @param {StreamFile} stream
+   * @param {number} offset - starting byte offset
+   */
+  constructor(stream, offset) {
+    if (offset !== (offset | 0) || offset < 0 ||
+      (stream.length >= 0 && offset > stream.length)) {
+      throw new Error('invalid input');
+    }
+    this.stream = stream;
+    this.buffering = false;
+    this.closed = false;
+    this._offset = offset;
+  }
+
+  /**
+   * Byte offset of the read position from beginning of file.
+   * @returns {number}
+   */
+  get offset() {
+    return this._offset;
+  }
+
+  /**
+   * Whether the read position is at end of file.
+   * @returns {boolean}
+   */
+  get eof() {
+    return this._offset === this.stream.length;
+  }
+
+  /**
+   * Move the read position, and read ahead from there if it's now
+   * the furthest behind of the open readers.
+   * @param {number} offset - target byte offset from beginning of file
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
+   * @returns {Promise} - resolved when the position has moved
+   */
+  seek(offset, {signal=null}={}) {
+    return new Promise((resolve, reject) => {
+      if (this.closed || this.buffering) {
+        throw new Error('invalid state');
+      } else if (signal && signal.aborted) {
+        throw abortError();
+      } else if (offset !== (offset | 0) || offset < 0) {
+        throw new Error('invalid input');
+      } else if (this.stream.length >= 0 && offset > this.stream.length) {
+        throw new Error('seek past end of file');
+      } else if (!this.stream.seekable) {
+        throw new Error('seek on non-seekable stream');
+      }
+      this._offset = offset;
+      this.stream._readAheadReaders();
+      resolve();
+    });
+  }
+
+  /**
+   * Wait until the given number of bytes are available to read, or end of file.
+   * @param {number} nbytes - max bytes to wait for
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
+   * @param {number} options.timeout - optional time limit in milliseconds
+   * @returns {Promise} - resolved with available byte count when ready
+   */
+  buffer(nbytes, options) {
+    return new Promise((resolve, reject) => {
+      if (this.closed || this.buffering) {
+        throw new Error('invalid state');
+      } else if (nbytes !== (nbytes | 0) || nbytes < 0) {
+        throw new Error('invalid input');
+      }
+      this.buffering = true;
+      this.stream._bufferAt(this._offset, nbytes, options, this.stream._chunkSize).then((available) => {
+        this.buffering = false;
+        resolve(available);
+      }).catch((err) => {
+        this.buffering = false;
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Read up to the requested number of bytes, or until end of file is reached,
+   * and advance the read position.
+   *
+   * May wait on network activity if data is not yet available.
+   *
+   * @param {number} nbytes - max number of bytes to read
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
+   * @param {number} options.timeout - optional time limit in milliseconds
+   * @returns {Promise} - resolved with an ArrayBuffer of 0 to nbytes of data
+   */
+  read(nbytes, options) {
+    return this.buffer(nbytes, options).then((available) => this.readSync(available));
+  }
+
+  /**
+   * Read up to the requested number of bytes, or however much is available
+   * in the cache until the next empty segment, and advance the read position.
+   *
+   * Returns immediately.
+   *
+   * @param {number} nbytes - max number of bytes to read
+   * @returns {ArrayBuffer} - between 0 and nbytes of data, inclusive
+   */
+  readSync(nbytes) {
+    const available = this.bytesAvailable(nbytes);
+    const dest = new Uint8Array(available);
+    const actual = this.readBytes(dest);
+    if (actual !== available) {
+      throw new Error('failed to read expected data');
+    }
+    return dest.buffer;
+  }
+
+  /**
+   * Read bytes into destination array until out of cached data or space,
+   * and advance the read position.
+   *
+   * Returns immediately.
+   *
+   * @param {Uint8Array} dest - destination byte array
+   * @returns {number} - count of actual bytes read
+   */
+  readBytes(dest) {
+    if (this.closed || this.buffering) {
+      throw new Error('invalid state');
+    } else if (!(dest instanceof Uint8Array)) {
+      throw new Error('invalid input');
+    }
+    const nbytes = this.stream._cache.readBytesAt(this._offset, dest);
+    this._offset += nbytes;
+
+    // Failures will be reported by the next buffer() call.
+    this.stream._readAheadReaders();
+
+    return nbytes;
+  }
+
+  /**
+   * Number of bytes available to read immediately from the read position.
+   * @param {number} max - optional maximum to count
+   * @returns {number}
+   */
+  bytesAvailable(max=Infinity) {
+    return this.stream._cache.bytesReadableAt(this._offset, max);
+  }
+
+  /**
+   * Stop using the reader, releasing its hold on readahead and eviction.
+   */
+  close() {
+    if (!this.closed) {
+      this.closed = true;
+      this.stream._closeReader(this);
+    }
+  }
+}
+
+module.exports = StreamReader;
@@ -0,0 +1,62 @@
+"use strict";
+
+/**
+ * Rolling estimate of download bandwidth, as an exponentially weighted
+ * moving average of throughput samples. Older samples fade out with the
+ * given half-life, measured in transfer time so idle periods don't count.
+ */
+class BandwidthEstimator {
+  /**
+   * @param {Object} options
+   * @param {number} options.halfLife - ms of transfer time for a sample's weight to halve
+   */
+  constructor({halfLife=2000}={}) {
+    this.halfLife = halfLife;
+    this.totalBytes = 0;
+    this.totalTime = 0;
+    this._estimate = 0;
+    this._weight = 0;
+    this._pendingBytes = 0;
+  }
+
+  /**
+   * Add a measurement of data received over some transfer time.
+   * @param {number} bytes - byte count received
+   * @param {number} ms - milliseconds spent receiving it
+   */
+  sample(bytes, ms) {
+    if (ms <= 0) {
+      // Arrived together with the previous sample; count it with the next.
+      this._pendingBytes += bytes;
+      return;
+    }
+    bytes += this._pendingBytes;
+    this._pendingBytes = 0;
+    const rate = bytes * 1000 / ms;
+    const alpha = Math.pow(0.5, ms / this.halfLife);
+    this._estimate = rate * (1 - alpha) + this._estimate * alpha;
+    this._weight = (1 - alpha) + this._weight * alpha;
+    this.totalBytes += bytes;
+    this.totalTime += ms;
+  }
+
+  /**
+   * Recent bandwidth in bytes per second, or 0 if not yet measured.
+   * @returns {number}
+   */
+  get current() {
+    // Correct for the zero starting point while few samples are in.
+    return this._weight > 0 ? this._estimate / this._weight : 0;
+  }
+
+  /**
+   * Average bandwidth in bytes per second over all samples,
+   * or 0 if not yet measured.
+   * @returns {number}
+   */
+  get average() {
+    return this.totalTime > 0 ? this.totalBytes * 1000 / this.totalTime : 0;
+  }
+}
+
+module.exports = BandwidthEstimator;
@@ -0,0 +1,179 @@
+"use strict";
+
+const BandwidthEstimator = require('./bandwidth-estimator.js');
+
+/**
+ * High-resolution clock for measuring transfer times, as data
+ * often arrives in bursts within the same millisecond.
+ * @returns {number} milliseconds
+ * @access private
+ */
+function now() {
+  if (typeof performance === 'object' && typeof performance.now === 'function') {
+    return performance.now();
+  }
+  return Date.now();
+}
+
+/**
+ * Collects download and buffering statistics for a StreamFile,
+ * fed by the timing of backend 'open', 'buffer' and 'done' events.
+ */
+class StreamStats {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxRequests - how many recent request records to keep
+   */
+  constructor({maxRequests=100}={}) {
+    this.bandwidth = new BandwidthEstimator();
+    this.bytesDownloaded = 0;
+    this.requestCount = 0;
+    this.bufferingTime = 0;
+    this.bufferingCount = 0;
+    this.requests = [];
+    this.maxRequests = maxRequests;
+    this._firstByteTime = 0;
+    this._firstByteCount = 0;
+    this._lastSampleTime = 0;
+    this._buffering = null;
+  }
+
+  /**
+   * Start a record for a new request.
+   * @param {Object} info
+   * @param {string} info.url
+   * @param {number} info.start - first byte offset requested
+   * @param {number} info.end - offset after the last byte requested
+   * @returns {Object} request record, to pass to the other request methods
+   */
+  requestStart({url, start, end}) {
+    const record = {
+      url,
+      start,
+      end,
+      status: 0,
+      startTime: Date.now(),
+      timeToFirstByte: -1,
+      duration: -1,
+      bytes: 0,
+      error: null,
+      openedAt: 0
+    };
+    this.requestCount++;
+    this.requests.push(record);
+    if (this.requests.length > this.maxRequests) {
+      this.requests.shift();
+    }
+    return record;
+  }
+
+  /**
+   * Note that a request got its response headers.
+   * @param {Object} record
+   * @param {string} url - final URL requested, after any beforeRequest hook
+   * @param {number} status - HTTP status, or 0 for non-HTTP sources
+   */
+  requestOpen(record, url, status) {
+    record.url = url;
+    record.status = status;
+    record.timeToFirstByte = Date.now() - record.startTime;
+    record.openedAt = now();
+    this._firstByteTime += record.timeToFirstByte;
+    this._firstByteCount++;
+  }
+
+  /**
+   * Note data received for a request.
+   * @param {Object} record
+   * @param {number} bytes
+   */
+  requestData(record, bytes) {
+    const time = now();
+    // Measure from the last data on any request, so concurrent downloads
+    // add up, but not across idle time or time waiting for a response.
+    const since = Math.max(this._lastSampleTime, record.openedAt);
+    this.bandwidth.sample(bytes, time - since);
+    this._lastSampleTime = time;
+    this.bytesDownloaded += bytes;
+    record.bytes += bytes;
+  }
+
+  /**
+   * Note that a request finished, failed or was aborted.
+   * Only the first call for a record counts.
+   * @param {Object} record
+   * @param {string|null} error - error message, or null on success
+   * @param {number} status - HTTP status, if the request failed before opening
+   */
+  requestEnd(record, error=null, status=0) {
+    if (record.duration < 0) {
+      record.duration = Date.now() - record.startTime;
+      record.error = error;
+      if (status) {
+        record.status = status;
+      }
+    }
+  }
+
+  /**
+   * Note that buffer() started waiting on the network.
+   * @returns {Object} buffering record, to pass to bufferingEnd()
+   */
+  bufferingStart() {
+    const record = {
+      startTime: Date.now(),
+      ended: false
+    };
+    this._buffering = record;
+    return record;
+  }
+
+  /**
+   * Note that buffer() stopped waiting.
+   * Only the first call for a record counts.
+   * @param {Object} record
+   */
+  bufferingEnd(record) {
+    if (!record.ended) {
+      record.ended = true;
+      this.bufferingTime += Date.now() - record.startTime;
+      this.bufferingCount++;
+    }
+  }
+
+  /**
+   * @returns {Object} copy of the current statistics; see StreamFile.getStats()
+   */
+  snapshot() {
+    let bufferingTime = this.bufferingTime;
+    if (this._buffering && !this._buffering.ended) {
+      bufferingTime += Date.now() - this._buffering.startTime;
+    }
+    return {
+      bytesDownloaded: this.bytesDownloaded,
+      requestCount: this.requestCount,
+      bandwidth: this.bandwidth.current,
+      averageBandwidth: this.bandwidth.average,
+      timeToFirstByte: this._firstByteCount ? this._firstByteTime / this._firstByteCount : -1,
+      bufferingTime: bufferingTime,
+      bufferingCount: this.bufferingCount,
+      requests: this.requests.map((record) => {
+        return {
+          url: record.url,
+          start: record.start,
+          end: record.end,
+          status: record.status,
+          startTime: record.startTime,
+          timeToFirstByte: record.timeToFirstByte,
+          duration: record.duration,
+          bytes: record.bytes,
+          error: record.error
+        };
+      })
+    };
+  }
+}
+
+StreamStats.BandwidthEstimator = BandwidthEstimator;
+
+module.exports = StreamStats;
@@ -0,0 +1,226 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Call a node-style async function, returning a Promise.
+ * @access private
+ */
+function call(func, ...args) {
+  return new Promise((resolve, reject) => {
+    func(...args, (err, result) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Parse a range file name into its byte offsets.
+ * @returns {Object|null} - {start, end}
+ * @access private
+ */
+function parseRange(name) {
+  const matches = name.match(/^(\d+)-(\d+)$/);
+  if (!matches) {
+    return null;
+  }
+  return {
+    start: parseInt(matches[1], 10),
+    end: parseInt(matches[2], 10)
+  };
+}
+
+/**
+ * Storage adapter keeping cached ranges in files under a directory,
+ * via node's fs module. Node only.
+ *
+ * Each key gets a subdirectory named by its hash, holding the key itself
+ * in a 'key' file and a '<start>-<end>' file for each stored range.
+ * File modification times record when ranges were last used.
+ *
+ * See PersistentCache for the adapter interface.
+ */
+class FileStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - where to keep the files; created if missing
+   */
+  constructor({directory}) {
+    if (typeof fs.open !== 'function') {
+      throw new Error('FileStorage requires node fs');
+    }
+    if (!directory) {
+      throw new Error('invalid input');
+    }
+    this.directory = directory;
+  }
+
+  /**
+   * Read stored bytes from the given offset, as far as one stored range
+   * goes but no further than end.
+   * @param {string} key
+   * @param {number} start - first byte offset to read
+   * @param {number} end - offset to stop at, exclusive
+   * @returns {Promise} - resolved with an ArrayBuffer, or null if nothing
+   *                      is stored at start
+   */
+  get(key, start, end) {
+    const dir = this._keyDir(key);
+    return this._ranges(dir).then((ranges) => {
+      let found = null;
+      ranges.forEach((range) => {
+        if (range.start <= start && start < range.end && (!found || range.end > found.end)) {
+          found = range;
+        }
+      });
+      if (!found) {
+        return null;
+      }
+      const file = path.join(dir, found.name);
+      const len = Math.min(end, found.end) - start;
+      const dest = Buffer.alloc(len);
+      return call(fs.open, file, 'r').then((fd) => {
+        return call(fs.read, fd, dest, 0, len, start - found.start).then((nbytes) => {
+          fs.close(fd, () => {});
+          return nbytes;
+        }, (err) => {
+          fs.close(fd, () => {});
+          throw err;
+        });
+      }).then((nbytes) => {
+        // Mark it as recently used; not worth failing the read over.
+        const now = new Date();
+        fs.utimes(file, now, now, () => {});
+        return dest.buffer.slice(dest.byteOffset, dest.byteOffset + nbytes);
+      });
+    });
+  }
+
+  /**
+   * Store a range of bytes, replacing any range stored at the same offset.
+   * @param {string} key
+   * @param {number} start - byte offset of the data
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise}
+   */
+  put(key, start, buffer) {
+    const dir = this._keyDir(key);
+    const name = start + '-' + (start + buffer.byteLength);
+    const temp = path.join(dir, name + '.' + process.pid + '.tmp');
+    return call(fs.mkdir, dir, {recursive: true}).then(() => {
+      return call(fs.writeFile, path.join(dir, 'key'), key);
+    }).then(() => {
+      return this._delete(dir, (range) => range.start === start);
+    }).then(() => {
+      // Write to the side first, so readers never see a partial file.
+      return call(fs.writeFile, temp, Buffer.from(buffer));
+    }).then(() => {
+      return call(fs.rename, temp, path.join(dir, name));
+    });
+  }
+
+  /**
+   * Remove the range stored at the given offset, or all ranges
+   * stored under the key if no offset is given.
+   * @param {string} key
+   * @param {number} start - optional byte offset of the range
+   * @returns {Promise}
+   */
+  delete(key, start=undefined) {
+    const dir = this._keyDir(key);
+    return this._delete(dir, (range) => start === undefined || range.start === start).then(() => {
+      return this._ranges(dir);
+    }).then((ranges) => {
+      if (ranges.length === 0) {
+        return call(fs.unlink, path.join(dir, 'key')).catch(() => {}).then(() => {
+          return call(fs.rmdir, dir).catch(() => {});
+        });
+      }
+      return undefined;
+    });
+  }
+
+  /**
+   * List the stored ranges.
+   * @returns {Promise} - resolved with an array of {key, start, end, time},
+   *                      time being when the range was last used
+   */
+  keys() {
+    return this._readdir(this.directory).then((names) => {
+      return Promise.all(names.map((name) => {
+        const dir = path.join(this.directory, name);
+        return call(fs.readFile, path.join(dir, 'key'), 'utf8').then((key) => {
+          return this._ranges(dir).then((ranges) => {
+            return Promise.all(ranges.map((range) => {
+              return call(fs.stat, path.join(dir, range.name)).then((stats) => {
+                return {
+                  key: key,
+                  start: range.start,
+                  end: range.end,
+                  time: stats.mtime.getTime()
+                };
+              });
+            }));
+          });
+        }, () => {
+          // Not one of ours, or not finished writing.
+          return [];
+        });
+      }));
+    }).then((lists) => {
+      return lists.reduce((all, list) => all.concat(list), []);
+    });
+  }
+
+  // ---------------
+  // Private methods
+  // ---------------
+
+  _keyDir(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, hash);
+  }
+
+  _readdir(dir) {
+    return call(fs.readdir, dir).catch((err) => {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    });
+  }
+
+  _ranges(dir) {
+    return this._readdir(dir).then((names) => {
+      const ranges = [];
+      names.forEach((name) => {
+        const range = parseRange(name);
+        if (range) {
+          range.name = name;
+          ranges.push(range);
+        }
+      });
+      return ranges;
+    });
+  }
+
+  _delete(dir, filter) {
+    return this._ranges(dir).then((ranges) => {
+      return Promise.all(ranges.filter(filter).map((range) => {
+        return call(fs.unlink, path.join(dir, range.name)).catch((err) => {
+          if (err.code !== 'ENOENT') {
+            throw err;
+          }
+        });
+      }));
+    });
+  }
+}
+
+module.exports = FileStorage;
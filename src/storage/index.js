@@ -0,0 +1,13 @@
+"use strict";
+
+const PersistentCache = require('./persistent-cache.js');
+
+const FileStorage = require('./file-storage.js');
+
+PersistentCache.MemoryStorage = require('./memory-storage.js');
+if (typeof FileStorage === 'function') {
+  // Left out of browser bundles.
+  PersistentCache.FileStorage = FileStorage;
+}
+
+module.exports = PersistentCache;
@@ -0,0 +1,107 @@
+"use strict";
+
+/**
+ * Storage adapter keeping cached ranges in memory for the life of the
+ * page or process. Useful for sharing a cache between StreamFile
+ * instances, and as a model for persistent adapters.
+ *
+ * See PersistentCache for the adapter interface.
+ */
+class MemoryStorage {
+  constructor() {
+    // Map of keys to lists of {start, end, buffer, time} entries
+    this._entries = Object.create(null);
+  }
+
+  /**
+   * Read stored bytes from the given offset, as far as one stored range
+   * goes but no further than end.
+   * @param {string} key
+   * @param {number} start - first byte offset to read
+   * @param {number} end - offset to stop at, exclusive
+   * @returns {Promise} - resolved with an ArrayBuffer, or null if nothing
+   *                      is stored at start
+   */
+  get(key, start, end) {
+    return new Promise((resolve) => {
+      let found = null;
+      (this._entries[key] || []).forEach((entry) => {
+        if (entry.start <= start && start < entry.end && (!found || entry.end > found.end)) {
+          found = entry;
+        }
+      });
+      if (!found) {
+        resolve(null);
+        return;
+      }
+      found.time = Date.now();
+      resolve(found.buffer.slice(start - found.start, Math.min(end, found.end) - found.start));
+    });
+  }
+
+  /**
+   * Store a range of bytes, replacing any range stored at the same offset.
+   * @param {string} key
+   * @param {number} start - byte offset of the data
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise}
+   */
+  put(key, start, buffer) {
+    return new Promise((resolve) => {
+      const entries = (this._entries[key] || []).filter((entry) => entry.start !== start);
+      entries.push({
+        start: start,
+        end: start + buffer.byteLength,
+        buffer: buffer.slice(0),
+        time: Date.now()
+      });
+      this._entries[key] = entries;
+      resolve();
+    });
+  }
+
+  /**
+   * Remove the range stored at the given offset, or all ranges
+   * stored under the key if no offset is given.
+   * @param {string} key
+   * @param {number} start - optional byte offset of the range
+   * @returns {Promise}
+   */
+  delete(key, start=undefined) {
+    return new Promise((resolve) => {
+      const entries = (this._entries[key] || []).filter((entry) => {
+        return start !== undefined && entry.start !== start;
+      });
+      if (entries.length) {
+        this._entries[key] = entries;
+      } else {
+        delete this._entries[key];
+      }
+      resolve();
+    });
+  }
+
+  /**
+   * List the stored ranges.
+   * @returns {Promise} - resolved with an array of {key, start, end, time},
+   *                      time being when the range was last used
+   */
+  keys() {
+    return new Promise((resolve) => {
+      const list = [];
+      Object.keys(this._entries).forEach((key) => {
+        this._entries[key].forEach((entry) => {
+          list.push({
+            key: key,
+            start: entry.start,
+            end: entry.end,
+            time: entry.time
+          });
+        });
+      });
+      resolve(list);
+    });
+  }
+}
+
+module.exports = MemoryStorage;
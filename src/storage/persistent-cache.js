@@ -0,0 +1,131 @@
+"use strict";
+
+/**
+ * Second cache tier behind CachePool, keeping downloaded ranges in
+ * a storage adapter so they can be reused by later StreamFile instances,
+ * such as after a page reload.
+ *
+ * Ranges are stored under keys made from the URL and a validator from
+ * the response headers (ETag or Last-Modified), so a changed file on the
+ * server misses rather than returning stale data. The total size of
+ * stored ranges is held under a quota by evicting the least recently
+ * used ones after each write.
+ *
+ * Adapters implement these methods, each returning a Promise:
+ * - get(key, start, end) - resolve with an ArrayBuffer of stored bytes from
+ *   start, up to end or wherever the stored range ends; or null if nothing
+ *   is stored at start
+ * - put(key, start, buffer) - store an ArrayBuffer at the given offset
+ * - delete(key, start) - remove the range stored at start, or all ranges
+ *   under the key if start is undefined
+ * - keys() - resolve with an array of {key, start, end, time} for each
+ *   stored range, time being when it was last used in ms since the epoch
+ */
+class PersistentCache {
+  /**
+   * @param {Object} adapter - storage adapter, such as MemoryStorage
+   * @param {Object} options
+   * @param {number} options.quota - max total bytes to keep stored
+   */
+  constructor(adapter, {quota=256 * 1024 * 1024}={}) {
+    this.adapter = adapter;
+    this.quota = quota;
+    // Writes and evictions run one at a time, so sizes add up.
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Read stored bytes from the given offset; see the adapter's get().
+   * @param {string} key - from PersistentCache.key()
+   * @param {number} start
+   * @param {number} end
+   * @returns {Promise} - resolved with an ArrayBuffer or null
+   */
+  read(key, start, end) {
+    return this.adapter.get(key, start, end);
+  }
+
+  /**
+   * Store a range of bytes, then evict old ranges if over quota.
+   * @param {string} key - from PersistentCache.key()
+   * @param {number} start - byte offset of the data
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise}
+   */
+  write(key, start, buffer) {
+    return this._enqueue(() => {
+      if (buffer.byteLength > this.quota) {
+        return undefined;
+      }
+      return this.adapter.put(key, start, buffer).then(() => this._evict());
+    });
+  }
+
+  /**
+   * Remove ranges stored for other versions of the same URL.
+   * @param {string} key - from PersistentCache.key(), for the current version
+   * @returns {Promise}
+   */
+  purge(key) {
+    const prefix = key.slice(0, key.indexOf(' ') + 1);
+    return this._enqueue(() => {
+      return this.adapter.keys().then((entries) => {
+        const stale = {};
+        entries.forEach((entry) => {
+          if (entry.key !== key && entry.key.slice(0, prefix.length) === prefix) {
+            stale[entry.key] = true;
+          }
+        });
+        return Promise.all(Object.keys(stale).map((staleKey) => this.adapter.delete(staleKey)));
+      });
+    });
+  }
+
+  /**
+   * Wait for the writes, evictions and purges queued so far.
+   * @returns {Promise} - resolved once they're done, even if some failed
+   */
+  flush() {
+    return this._queue;
+  }
+
+  _enqueue(callback) {
+    const result = this._queue.then(callback);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  _evict() {
+    return this.adapter.keys().then((entries) => {
+      let total = 0;
+      entries.forEach((entry) => {
+        total += entry.end - entry.start;
+      });
+      entries.sort((a, b) => a.time - b.time);
+
+      const victims = [];
+      for (let i = 0; i < entries.length && total > this.quota; i++) {
+        victims.push(entries[i]);
+        total -= entries[i].end - entries[i].start;
+      }
+      return Promise.all(victims.map((entry) => this.adapter.delete(entry.key, entry.start)));
+    });
+  }
+}
+
+/**
+ * Make a storage key for a URL from its response headers.
+ * URLs can't contain spaces, so the validator follows after one.
+ * @param {string} url
+ * @param {Object} headers - map of lowercase header names to values
+ * @returns {string|null} - null if there's no validator to key by
+ */
+PersistentCache.key = function(url, headers) {
+  const validator = headers['etag'] || headers['last-modified'];
+  if (!url || !validator) {
+    return null;
+  }
+  return url + ' ' + validator;
+};
+
+module.exports = PersistentCache;
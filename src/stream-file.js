@@ -2,29 +2,206 @@
 
 const EventEmitter = require('./events');
 const CachePool = require('./cache');
-const Backend = require('./backend');
+const Backends = require('./backend');
+const ChunkIterator = require('./iterator');
+const createReadableStream = require('./web-stream');
+const createReadStream = require('./node-stream');
+const StreamStats = require('./stats');
+const StreamReader = require('./reader');
+const PersistentCache = require('./storage');
+const {abortError, timeoutError} = require('./errors');
+
+// Smallest range request to split the readahead window into.
+const MIN_PART_SIZE = 64 * 1024;
+
+// With adaptive chunk sizing, aim for requests carrying this many round
+// trips' worth of data, so waiting for the first byte of each costs
+// only a few percent of throughput.
+const ROUND_TRIPS_PER_CHUNK = 16;
+
+/**
+ * Get a backend's response status for stats, or 0 if it has none,
+ * such as for local files and in-memory data.
+ * @param {Backend} backend
+ * @returns {number}
+ * @access private
+ */
+function responseStatus(backend) {
+  try {
+    return backend.getResponseStatus() || 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Wrap a promise so it rejects early with an AbortError if the given
+ * AbortSignal fires first. The underlying operation is not canceled;
+ * the onabort callback may clean up if needed.
+ * @param {Promise} promise
+ * @param {AbortSignal} signal - optional
+ * @param {function} onabort - optional callback
+ * @returns {Promise}
+ * @access private
+ */
+function abortable(promise, signal, onabort) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const listener = () => {
+      if (onabort) {
+        onabort();
+      }
+      reject(abortError());
+    };
+    signal.addEventListener('abort', listener);
+    promise.then((result) => {
+      signal.removeEventListener('abort', listener);
+      resolve(result);
+    }).catch((err) => {
+      signal.removeEventListener('abort', listener);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Wrap a promise so it rejects early with a TimeoutError if it doesn't
+ * complete within the given time. The underlying operation is not canceled;
+ * the onexpire callback may clean up if needed.
+ * @param {Promise} promise
+ * @param {number} timeout - time limit in milliseconds, or 0 for none
+ * @param {function} onexpire - optional callback
+ * @returns {Promise}
+ * @access private
+ */
+function deadline(promise, timeout, onexpire) {
+  if (!timeout) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (onexpire) {
+        onexpire();
+      }
+      reject(timeoutError('buffer timeout'));
+    }, timeout);
+    promise.then((result) => {
+      clearTimeout(timer);
+      resolve(result);
+    }).catch((err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Parse an HTTP Retry-After header value, in seconds or as a date.
+ * @returns {number} - delay in milliseconds, or -1 if none
+ * @access private
+ */
+function parseRetryAfter(value) {
+  if (typeof value !== 'string' || value === '') {
+    return -1;
+  } else if (/^\d+$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  } else {
+    const date = Date.parse(value);
+    if (isNaN(date)) {
+      return -1;
+    }
+    return Math.max(0, date - Date.now());
+  }
+}
 
 /**
  * @typedef {Object} StreamFileOptions
  * @property {string} url - the URL to fetch
+ * @property {string} path - local file path to read instead of a URL (node only)
+ * @property {Blob} blob - Blob or File to read instead of a URL
+ * @property {ArrayBuffer|Uint8Array} data - in-memory data to read instead of a URL
+ * @property {function} backend - Backend class to use instead of autoselecting one
  * @property {number} chunkSize - max size of each chunked HTTP request / readahead target
+ * @property {boolean} adaptiveChunkSize - size chunks from measured throughput and latency instead
+ * @property {number} minChunkSize - smallest adaptive chunk size, used to probe after load or seek
+ * @property {number} maxChunkSize - largest adaptive chunk size
  * @property {number} cacheSize - max amount of data to keep buffered in memory for seeks
+ * @property {string|Object} cachePolicy - 'lru', 'lfu', 'distance' or a custom policy object
+ *   deciding what to evict from memory first
+ * @property {number} cacheProtectBehind - bytes before the read head never to evict
+ * @property {number} cacheProtectAhead - bytes after the read head never to evict
+ * @property {number} pinnedSize - max bytes that may be pinned in memory with pin()
+ * @property {Object} storage - optional storage adapter to keep downloaded ranges in for reuse
+ * @property {number} storageQuota - max total bytes to keep in storage
+ * @property {number} concurrency - max number of range requests to run at once when reading ahead
+ * @property {number} seekThreshold - max distance in bytes to seek ahead of the download position without reconnecting
+ * @property {number} connectTimeout - ms to wait for response headers on each request; 0 for no limit
+ * @property {number} stallTimeout - ms without new data before the download counts as stalled; 0 to disable
+ * @property {boolean} stallReconnect - drop and reopen stalled downloads, at least once even without retries
+ * @property {Object} requestHeaders - extra HTTP headers to send with each request
+ * @property {string} credentials - 'omit', 'same-origin' or 'include' cookies and auth for cross-origin requests
+ * @property {function} beforeRequest - hook called with {url, offset, length, headers} before each
+ *   chunk request; may modify them, or return (a Promise of) replacements
+ * @property {number} retries - max consecutive retries after a failed request
+ * @property {number} retryDelay - base delay in ms before the first retry; doubles each time
+ * @property {Array<number>} retryOn - HTTP status codes to retry on, besides network errors
  */
 
 /**
  * Utility class for chunked streaming of large files via XMLHttpRequest.
  * Provides an abstraction of a seekable input stream, backed by in-memory
  * caching, and some convenient promise-based i/o methods.
+ *
+ * Events sent, in the style of HTMLMediaElement:
+ * - 'loadedmetadata' - load() finished; length, seekable and headers are set
+ * - 'progress' - data arrived; sent {loaded, total} byte counts
+ * - 'bufferedchange' - the ranges from getBufferedRanges() changed
+ * - 'waiting' - buffer() or read() has to wait on the network for data
+ * - 'stalled' - the active download has sent no data for stallTimeout ms
+ * - 'seeking' - seek() started
+ * - 'seeked' - seek() finished
+ * - 'ended' - reading reached the end of the file
+ * - 'error' - a download failed and won't be retried; sent the Error
+ * - 'abort' - abort() canceled active operations or downloads
+ *
  * @param {StreamFileOptions} options
  * @constructor
  */
-class StreamFile {
+class StreamFile extends EventEmitter {
   constructor({
     url='',
+    path='',
+    blob=null,
+    data=null,
+    backend=null,
     chunkSize=1 * 1024 * 1024,
+    adaptiveChunkSize=false,
+    minChunkSize=64 * 1024,
+    maxChunkSize=8 * 1024 * 1024,
     cacheSize=0,
-    progressive=true
+    cachePolicy='lru',
+    cacheProtectBehind=0,
+    cacheProtectAhead=(adaptiveChunkSize ? maxChunkSize : chunkSize),
+    pinnedSize=16 * 1024 * 1024,
+    storage=null,
+    storageQuota=256 * 1024 * 1024,
+    seekThreshold=256 * 1024,
+    concurrency=1,
+    progressive=true,
+    retries=0,
+    retryDelay=1000,
+    retryOn=[429, 502, 503, 504],
+    requestHeaders={},
+    credentials='same-origin',
+    beforeRequest=null,
+    connectTimeout=0,
+    stallTimeout=0,
+    stallReconnect=false
   }) {
+    super();
+
     // InputStream public API
     this.length = -1;
     this.loaded = false;
@@ -56,16 +233,49 @@ class StreamFile {
 
     // StreamFile public API
     this.url = url;
+    this.path = path;
+    this.blob = blob;
+    this.data = data;
     this.headers = {};
 
     // Private
     this._cache = new CachePool({
-      cacheSize
+      cacheSize,
+      policy: cachePolicy,
+      protectBehind: cacheProtectBehind,
+      protectAhead: cacheProtectAhead,
+      pinnedSize
     });
 
-    this._backend = null;
+    this._storage = storage ? new PersistentCache(storage, {quota: storageQuota}) : null;
+    this._storageKey = null;
+
+    this._downloads = [];
+    this._concurrency = concurrency;
+    this._backendClass = backend;
+    this._dataURL = null;
     this._cachever = 0;
-    this._chunkSize = chunkSize;
+    this._chunkSize = adaptiveChunkSize ? minChunkSize : chunkSize;
+    this._adaptiveChunkSize = adaptiveChunkSize;
+    this._minChunkSize = minChunkSize;
+    this._maxChunkSize = maxChunkSize;
+    this._seekThreshold = seekThreshold;
+    this._retries = retries;
+    this._retryDelay = retryDelay;
+    this._retryOn = retryOn;
+    this._retryCount = 0;
+    this._retryWaits = [];
+    this._requestHeaders = requestHeaders;
+    this._credentials = credentials;
+    this._beforeRequest = beforeRequest;
+    this._loadOp = null;
+    this._bufferOp = null;
+    this._connectTimeout = connectTimeout;
+    this._stallTimeout = stallTimeout;
+    this._stallReconnect = stallReconnect;
+    this._stats = new StreamStats();
+    this._ended = false;
+    this._readerReadAhead = null;
   }
 
   /**
@@ -73,9 +283,14 @@ class StreamFile {
    * On success, loaded will become true, headers may be filled out,
    * and length may be available.
    *
+   * If the optional signal is aborted, the download is canceled and
+   * the promise rejects with an AbortError; load() may be called again.
+   *
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
    * @returns {Promise}
    */
-  load() {
+  load({signal=null}={}) {
     return new Promise((resolve, reject) => {
       if (this.loading) {
         throw new Error('cannot load when loading');
@@ -83,118 +298,295 @@ class StreamFile {
       if (this.loaded) {
         throw new Error('cannot load when loaded');
       }
+      if (signal && signal.aborted) {
+        throw abortError();
+      }
       this.loading = true;
-      this._openBackend().then((backend) => {
+      const op = this._loadOp = {};
+      const finish = () => {
+        // Don't stomp on state if we were aborted already.
+        const current = (this._loadOp === op);
+        if (current) {
+          this._loadOp = null;
+          this.loading = false;
+        }
+        return current;
+      };
+      abortable(this._openBackend(), signal, () => {
+        if (finish()) {
+          // Nothing else can be using the download before we're loaded.
+          this._abortDownload();
+        }
+      }).then((backend) => {
+        if (!finish()) {
+          throw abortError();
+        }
         // Save metadata from the first set...
-        // Beware this._backend may be null already,
+        // Beware the download may be finished already,
         // if the first segment was very short!
         this.seekable = backend.seekable;
         this.headers = backend.headers;
         this.length = backend.length;
         this.loaded = true;
-        this.loading = false;
+        if (this._storage && this.seekable) {
+          // Reads may be filled from storage once we know which version
+          // of the file we have; older versions are of no further use.
+          this._storageKey = PersistentCache.key(this.url, this.headers);
+          if (this._storageKey) {
+            this._storage.purge(this._storageKey).catch(() => {});
+          }
+        }
+        this.emit('loadedmetadata');
         resolve();
       }).catch((err) => {
-        if (err.name !== 'AbortError') {
-          this.loading = false;
-        }
+        finish();
         reject(err);
       });
     });
   }
 
   /**
-   * Create a backend and wait for it to load.
+   * Find or create the download feeding data to the read head,
+   * and wait for it to load. With concurrency, the readahead window
+   * is split into several range requests that run at once; the one
+   * at the read head is returned.
    * The returned 'backend' object may be null if there is no data to read.
    *
+   * Data in storage is used to fill the gap at the read head before
+   * going to the network.
+   *
+   * @param {number} end - optional offset that must be read up to, if
+   *                       further than a chunk ahead of the read head
+   * @param {boolean} storage - whether to check storage first
    * @returns {Promise}
    */
-  _openBackend() {
+  _openBackend(end=0, storage=true) {
     return new Promise((resolve, reject) => {
-      if (this._backend) {
-        resolve(this._backend);
-      } else if (this.eof) {
-        reject(new Error('cannot open at end of file'));
-      } else {
-        const cache = this._cache;
-        const max = this._chunkSize;
+      const cache = this._cache;
+      const max = this._chunkSize;
 
-        // Seek forward to the next unread point, up to chunk size
-        const readable = cache.bytesReadable(max);
-        const readTail = cache.readOffset + readable;
-        cache.seekWrite(readTail);
+      // Find the next unread point, up to chunk size
+      const readable = cache.bytesReadable(Math.max(max, end - cache.readOffset));
+      const readTail = cache.readOffset + readable;
 
-        // Did we already cache the entire file?
-        if (this.length >= 0 && readTail >= this.length) {
-          resolve(null);
-          return;
-        }
+      // If the download there drops before opening, wait and then
+      // try again from where it left off; data already cached is kept.
+      const opened = (download) => download.open.catch((err) => {
+        return this._retry(err).then(() => this._openBackend(end));
+      });
 
+      const current = this._downloadAt(readTail);
+      if (current) {
+        opened(current).then(resolve).catch(reject);
+      } else if (this.eof) {
+        reject(new Error('cannot open at end of file'));
+      } else if (this.length >= 0 && readTail >= this.length) {
+        // We already cached the entire file.
+        resolve(null);
+      } else {
         // Do we have space to write within that chunk?
         // Don't go beyond the end of the file, or it will confuse
         // some browsers (Safari with blob URLs).
-        const writable = this._clampToLength(cache.writeOffset + cache.bytesWritable(max)) - cache.writeOffset;
+        const writer = cache.openWriter(readTail);
+        const writable = this._clampToLength(readTail + writer.bytesWritable(max)) - readTail;
+        cache.closeWriter(writer);
 
         if (writable === 0) {
           // Nothing to read/write within the current readahead area.
           resolve(null);
+          return;
+        }
+
+        if (storage && this._storageKey) {
+          // Recheck afterwards, as downloads may have moved on meanwhile.
+          this._fillFromStorage(readTail, writable).then((filled) => {
+            return this._openBackend(end, filled);
+          }).then(resolve).catch(reject);
+          return;
+        }
+
+        // Downloads elsewhere, such as from before a seek back into the
+        // cache, won't help reads from here; let them go.
+        this._downloads.filter((download) => {
+          return !download.background && (download.writer.offset < readTail ||
+            download.writer.offset > readTail + max);
+        }).forEach((download) => {
+          this._removeDownload(download);
+          download.backend.abort();
+        });
+
+        // Only split once we know the file is seekable and its length,
+        // and don't bother with tiny requests.
+        let parts = 1;
+        if (this.seekable && this.length >= 0) {
+          parts = Math.max(1, Math.min(this._concurrency, Math.floor(writable / MIN_PART_SIZE)));
+        }
+        const partSize = Math.ceil(writable / parts);
+        for (let i = 1; i < parts; i++) {
+          const start = readTail + i * partSize;
+          const length = Math.min(partSize, writable - i * partSize);
+          // Failures here are picked up again when reading gets there.
+          this._startDownload(start, length).open.catch(() => {});
+        }
+
+        opened(this._startDownload(readTail, Math.min(partSize, writable))).then(resolve).catch(reject);
+      }
+    });
+  }
+
+  /**
+   * Start a download of the given range, writing into the cache through
+   * its own write head as data arrives.
+   *
+   * @param {number} offset - byte offset to start at
+   * @param {number} length - byte count to download
+   * @returns {Object} - download record; its 'open' promise resolves
+   *                     with the backend once loaded
+   */
+  _startDownload(offset, length) {
+    const backend = Backends.instantiate({
+      url: this.url,
+      path: this.path,
+      blob: this.blob,
+      data: this.data,
+      dataURL: this._dataURL,
+      backend: this._backendClass,
+      offset: offset,
+      length: length,
+      cachever: this._cachever,
+      progressive: this.progressive,
+      requestHeaders: this._requestHeaders,
+      credentials: this._credentials,
+      beforeRequest: this._beforeRequest,
+      connectTimeout: this._connectTimeout
+    });
+    // Decode a data: URL only once, for all the chunks.
+    this._dataURL = backend.dataURL;
+    const download = {
+      backend: backend,
+      writer: this._cache.openWriter(offset),
+      start: offset,
+      end: offset + length,
+      stallTimer: null,
+      open: null,
+      startTime: Date.now(),
+      openTime: 0,
+      background: false,
+      storageKey: null,
+      stats: this._stats.requestStart({
+        url: this.url || this.path,
+        start: offset,
+        end: offset + length
+      })
+    };
+    this._downloads.push(download);
+
+    download.open = new Promise((resolve, reject) => {
+      const active = () => this._downloads.indexOf(download) !== -1;
+      let completed = false;
+      let oncomplete = null;
+
+      const checkOpen = () => {
+        oncomplete();
+        if (!active()) {
+          reject(new Error('invalid state'));
         } else {
-          const backend = this._backend = new Backend({
-            url: this.url,
-            offset: this._cache.writeOffset,
-            length: writable,
-            cachever: this._cachever,
-            progressive: this.progressive
-          });
+          download.openTime = Date.now();
+          this._stats.requestOpen(download.stats,
+            backend.requestInfo ? backend.requestInfo.url : download.stats.url,
+            responseStatus(backend));
+          if (!backend.seekable) {
+            // Servers ignoring Range send the rest of the file,
+            // not just the chunk we asked for.
+            download.end = backend.length >= 0 ? backend.length : Infinity;
+          }
+          if (this._storage && backend.seekable) {
+            download.storageKey = PersistentCache.key(this.url, backend.headers);
+          }
+          backend.on('buffer', (buffer) => {
+            if (active()) {
+              this._retryCount = 0;
+              const length = typeof buffer === 'string' ? buffer.length : buffer.byteLength;
+              this._stats.requestData(download.stats, length);
 
-          let oncomplete = null;
-
-          const checkOpen = () => {
-            if (backend !== this._backend) {
-              oncomplete();
-              reject(new Error('invalid state'));
-            } else {
-              backend.on('buffer', (buffer) => {
-                if (backend === this._backend) {
-                  this._cache.write(buffer);
-                }
+              // Another download or storage may have filled in the space
+              // ahead already; keep what fits, and stop there.
+              const writable = download.writer.bytesWritable(length);
+              if (writable > 0) {
+                download.writer.write(writable < length ? buffer.slice(0, writable) : buffer);
+              }
+              if (writable < length) {
+                // Anyone waiting carries on from the cached data.
+                const err = new Error('download ran into cached data');
+                err.superseded = true;
+                this._stats.requestEnd(download.stats);
+                this._removeDownload(download);
+                download.backend.abort(err);
+              } else {
+                this._watchStall(download);
+              }
+              this.emit('progress', {
+                loaded: this._stats.bytesDownloaded,
+                // Data may arrive before load() has saved the length.
+                total: this.loaded ? this.length : backend.length
               });
-              backend.on('done', () => {
-                if (backend === this._backend) {
-                  if (this.length === -1) {
-                    // save length on those final thingies
-                    this.length = this._backend.offset + this._backend.bytesRead;
-                  }
-                  this._backend = null;
-                }
-              });
-              resolve(backend);
+              this.emit('bufferedchange');
+            }
+          });
+          backend.on('done', () => {
+            if (active()) {
+              if (this.length === -1) {
+                // save length on those final thingies
+                this.length = backend.offset + backend.bytesRead;
+              }
+              this._adaptChunkSize(download);
+              this._stats.requestEnd(download.stats);
+              this._removeDownload(download);
             }
-          };
-
-          const checkError = (err) => {
-            if (backend !== this._backend) {
-              reject(new Error('invalid state'));
-            } else {
-              this._backend = null;
-              reject(err);
+          });
+          backend.on('error', (err) => {
+            // Lost the connection partway through; the next buffer()
+            // or readahead will reopen from the end of the cached data.
+            if (active()) {
+              this._stats.requestEnd(download.stats, err ? err.message : 'error streaming');
+              this._removeDownload(download);
             }
-          };
-
-          oncomplete = () => {
-            backend.off('open', checkOpen);
-            backend.off('error', checkError);
-          };
-          backend.on('open', checkOpen);
-          backend.on('error', checkError);
-          backend.on('cachever', () => {
-            this._cachever++;
           });
+          this._watchStall(download);
+          resolve(backend);
+        }
+      };
 
-          backend.load();
+      const checkError = (err) => {
+        // Errors may arrive both as an 'error' event and as a
+        // load() rejection, such as HTTP status failures and aborts.
+        if (completed) {
+          return;
         }
-      }
+        oncomplete();
+        if (!active()) {
+          reject(err.name === 'AbortError' ? err : new Error('invalid state'));
+        } else {
+          this._stats.requestEnd(download.stats, err.message, err.status || 0);
+          this._removeDownload(download);
+          reject(err);
+        }
+      };
+
+      oncomplete = () => {
+        completed = true;
+        backend.off('open', checkOpen);
+        backend.off('error', checkError);
+      };
+      backend.on('open', checkOpen);
+      backend.on('error', checkError);
+      backend.on('cachever', () => {
+        this._cachever++;
+      });
+
+      backend.load().catch(checkError);
     });
+    return download;
   }
 
   /**
@@ -204,7 +596,7 @@ class StreamFile {
    */
   _readAhead() {
     return new Promise((resolve, reject) => {
-      if (this._backend || this.eof) {
+      if (this._downloads.some((download) => !download.background) || this.eof) {
         // do nothing
         resolve();
       } else {
@@ -221,13 +613,26 @@ class StreamFile {
    * Seek the read position to a new location in the file, asynchronously.
    * After succesful completion, reads will continue at the new offset.
    * May fail due to network problems, invalid input, or bad state.
+   *
+   * An active download keeps running if the target is already cached, or
+   * lies within its remaining range no more than seekThreshold bytes ahead
+   * of what it has received; otherwise it is restarted at the target.
+   *
+   * If the optional signal is aborted, the promise rejects with an AbortError
+   * but the read position stays at the new offset, and any download there
+   * continues as readahead.
+   *
    * @param {number} offset - target byte offset from beginning of file
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
    * @returns {Promise} - resolved when ready to read at the new position
    */
-  seek(offset) {
+  seek(offset, {signal=null}={}) {
     return new Promise((resolve, reject) => {
       if (!this.loaded || this.buffering || this.seeking) {
         throw new Error('invalid state');
+      } else if (signal && signal.aborted) {
+        throw abortError();
       } else if (offset !== (offset | 0) || offset < 0) {
         throw new Error('invalid input');
       } else if (this.length >= 0 && offset > this.length) {
@@ -235,15 +640,24 @@ class StreamFile {
       } else if (!this.seekable) {
         throw new Error('seek on non-seekable stream');
       } else {
-        if (this._backend) {
-          // @todo if a short seek forward, just keep reading?
-          this.abort();
-        }
+        this.emit('seeking');
+        this._ended = false;
         this._cache.seekRead(offset);
-        this._cache.seekWrite(offset);
+        if (!this._keepsDownload(offset)) {
+          if (this._downloads.length) {
+            this._abortDownload();
+          }
+          if (this._adaptiveChunkSize) {
+            // Probe with a small request for a quick first byte.
+            this._chunkSize = this._minChunkSize;
+          }
+        }
 
         // Fire off a download if necessary.
-        this._readAhead().then(resolve).catch(reject);
+        abortable(this._readAhead(), signal).then(() => {
+          this.emit('seeked');
+          resolve();
+        }).catch(reject);
       }
     });
   }
@@ -255,10 +669,13 @@ class StreamFile {
    * May wait on network activity if data is not yet available.
    *
    * @param {number} nbytes - max number of bytes to read
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
+   * @param {number} options.timeout - optional time limit in milliseconds
    * @returns {ArrayBuffer} - between 0 and nbytes of data, inclusive
    */
-  read(nbytes) {
-    return this.buffer(nbytes).then((available) => this.readSync(available));
+  read(nbytes, options) {
+    return this.buffer(nbytes, options).then((available) => this.readSync(available));
   }
 
   /**
@@ -296,64 +713,134 @@ class StreamFile {
       throw new Error('invalid input');
     }
     const nbytes = this._cache.readBytes(dest);
+    if (this.eof && !this._ended) {
+      this._ended = true;
+      this.emit('ended');
+    }
 
     // Trigger readahead if necessary.
-    this._readAhead();
+    // Failures will be reported by the next buffer() call.
+    this._readAhead().catch(() => {});
 
     return nbytes;
   }
 
   /**
    * Wait until the given number of bytes are available to read, or end of file.
+   *
+   * If the optional signal is aborted, the promise rejects with an AbortError
+   * and buffering is cleared, but the active download continues as readahead.
+   * Likewise if the optional timeout passes, it rejects with a TimeoutError.
+   *
    * @param {number} nbytes - max bytes to wait for
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
+   * @param {number} options.timeout - optional time limit in milliseconds
    * @returns {Promise} - resolved with available byte count when ready
    */
-  buffer(nbytes) {
+  buffer(nbytes, {signal=null, timeout=0}={}) {
     return new Promise((resolve, reject) => {
       if (!this.loaded || this.buffering || this.seeking) {
         throw new Error('invalid state');
       } else if (nbytes !== (nbytes | 0) || nbytes < 0) {
         throw new Error('invalid input');
+      } else if (signal && signal.aborted) {
+        throw abortError();
       }
       const end = this._clampToLength(this.offset + nbytes);
       const readable = end - this.offset;
 
-      let canceled = false;
-
       let available = this.bytesAvailable(readable);
       if (available >= readable) {
         // Requested data is immediately available.
         resolve(available);
       } else {
         this.buffering = true;
-
-        // If we don't already have a backend open, start downloading.
-        this._openBackend().then((backend) => {
-          if (backend) {
-            return backend.bufferToOffset(end).then(() => {
-              // We might have to roll over to another download,
-              // so loop back around!
-              this.buffering = false;
-              return this.buffer(nbytes);
-            });
-          } else {
-            // No more data to read.
-            return Promise.resolve(available);
+        const op = this._bufferOp = {
+          canceled: false
+        };
+        const waiting = this._stats.bufferingStart();
+        const finish = () => {
+          // Don't stomp on state if we were aborted already.
+          op.canceled = true;
+          this._stats.bufferingEnd(waiting);
+          if (this._bufferOp === op) {
+            this._bufferOp = null;
+            this.buffering = false;
           }
-        }).then((available) => {
-          this.buffering = false;
+        };
+        this.emit('waiting');
+        deadline(abortable(this._bufferLoop(nbytes, op), signal, finish), timeout, finish).then((available) => {
+          finish();
           resolve(available);
         }).catch((err) => {
-          if (err.name !== 'AbortError') {
-            // was already set synchronously; avoid stomping on old promise
-            this.buffering = false;
-          }
+          finish();
           reject(err);
-        })
+        });
       }
     });
   }
 
+  /**
+   * Iterate over the data in ArrayBuffer chunks, reading from the current
+   * offset or from an explicit start offset up to end or end of file.
+   * The read head advances as chunks are read.
+   *
+   * Loads the stream first if needed. Breaking out of a for-await loop
+   * early cancels the readahead download; data already cached is kept.
+   *
+   * @param {Object} options
+   * @param {number} options.size - max bytes per chunk; defaults to 64KB
+   * @param {number} options.start - optional offset to seek to first
+   * @param {number} options.end - optional offset to stop at, exclusive
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
+   * @returns {ChunkIterator} - async iterator yielding ArrayBuffers
+   */
+  chunks(options) {
+    return new ChunkIterator(this, options);
+  }
+
+  /**
+   * Create a byte ReadableStream over the data, for piping through
+   * web streams such as DecompressionStream or into a Response body.
+   * Supports BYOB readers, copying directly into the reader's buffer.
+   *
+   * Reads start from the current offset, or an explicit start offset, up to
+   * end or end of file, and advance the read head. Loads the stream first
+   * if needed. Canceling the ReadableStream cancels the readahead download.
+   *
+   * @param {Object} options
+   * @param {number} options.start - optional offset to seek to first
+   * @param {number} options.end - optional offset to stop at, exclusive
+   * @returns {ReadableStream}
+   */
+  toReadableStream(options) {
+    return createReadableStream(this, options);
+  }
+
+  /**
+   * Create a node stream.Readable over the data, for piping into
+   * files, zlib or HTTP responses. Node only.
+   *
+   * Reads start from the current offset, or an explicit start offset, up to
+   * end or end of file, and advance the read head. Loads the stream first
+   * if needed. Destroying the Readable before it ends cancels the readahead
+   * download, and failures are emitted as 'error' events.
+   *
+   * @param {Object} options
+   * @param {number} options.start - optional offset to seek to first
+   * @param {number} options.end - optional offset to stop at, exclusive
+   * @param {number} options.highWaterMark - max bytes to queue; defaults to 64KB
+   * @returns {stream.Readable}
+   */
+  createReadStream(options) {
+    if (typeof createReadStream !== 'function') {
+      // Left out of browser bundles.
+      throw new Error('stream.Readable not supported');
+    }
+    return createReadStream(this, options);
+  }
+
   /**
    * Number of bytes available to read immediately from the current offset.
    * This is the max number of bytes that can be returned from a read() call.
@@ -367,6 +854,9 @@ class StreamFile {
    * Abort any currently running downloads and operations.
    */
   abort() {
+    const active = this.loading || this.buffering || this.seeking ||
+      this._downloads.length > 0 || this._retryWaits.length > 0;
+
     // Clear state synchronously, so can immediately launch new i/o...
     if (this.loading) {
       this.loading = false;
@@ -377,27 +867,603 @@ class StreamFile {
     if (this.seeking) {
       this.seeking = false;
     }
+    this._loadOp = null;
+    if (this._bufferOp) {
+      this._bufferOp.canceled = true;
+      this._bufferOp = null;
+    }
+
+    this._abortDownload(true);
 
-    // Abort any active backend request...
-    if (this._backend) {
-      this._backend.abort();
-      this._backend = null;
+    if (active) {
+      this.emit('abort');
     }
   }
 
+  /**
+   * Get a snapshot of download and buffering statistics, such as for
+   * a diagnostics display. Bandwidth figures are in bytes per second
+   * and times in milliseconds; times of -1 haven't been measured yet.
+   *
+   * The requests list holds records for recent requests, oldest first,
+   * each with url, start and end offsets, HTTP status (0 if none),
+   * startTime timestamp, timeToFirstByte, duration (-1 while running),
+   * bytes received and error message (null if none, 'aborted' if canceled).
+   *
+   * @returns {Object} - {bytesDownloaded, requestCount, bandwidth,
+   *                     averageBandwidth, timeToFirstByte, bufferingTime,
+   *                     bufferingCount, requests}
+   */
+  getStats() {
+    return this._stats.snapshot();
+  }
+
   /**
    * Return an array of byte ranges that are buffered.
-   * Each range is a two-element array of start and end.
-   * @returns {Array<Array<number>>}
+   * Each range is a two-element array of start and end; ranges are split
+   * where pins begin and end, and pinned ones have a third element, true.
+   * @returns {Array<Array>}
    */
   getBufferedRanges() {
     return this._cache.ranges();
   }
 
+  /**
+   * Read up to the requested number of bytes from the given offset, or until
+   * end of file, without moving the read head or changing eof.
+   *
+   * Data missing from the cache is downloaded with its own range request,
+   * so several positional reads may run at once, alongside buffer(),
+   * read() and seek(). Such downloads keep running through seeks.
+   *
+   * If the optional signal is aborted, the promise rejects with an AbortError
+   * but any download continues in the background.
+   *
+   * @param {number} offset - byte offset to read from
+   * @param {number} nbytes - max number of bytes to read
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
+   * @returns {Promise} - resolved with an ArrayBuffer of between 0 and nbytes of data
+   */
+  readAt(offset, nbytes, options) {
+    return new Promise((resolve) => {
+      if (nbytes !== (nbytes | 0) || nbytes < 0) {
+        throw new Error('invalid input');
+      }
+      if (this.length >= 0) {
+        nbytes = Math.max(0, Math.min(nbytes, this.length - offset));
+      }
+      resolve(new Uint8Array(nbytes));
+    }).then((dest) => {
+      return this.readBytesAt(offset, dest, options).then((actual) => {
+        return actual < dest.byteLength ? dest.buffer.slice(0, actual) : dest.buffer;
+      });
+    });
+  }
+
+  /**
+   * Read bytes from the given offset into the destination array, until it's
+   * full or end of file, without moving the read head or changing eof.
+   * See readAt().
+   *
+   * @param {number} offset - byte offset to read from
+   * @param {Uint8Array} dest - destination byte array
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
+   * @returns {Promise} - resolved with the count of bytes read
+   */
+  readBytesAt(offset, dest, {signal=null}={}) {
+    return new Promise((resolve, reject) => {
+      if (!this.loaded) {
+        throw new Error('invalid state');
+      } else if (signal && signal.aborted) {
+        throw abortError();
+      } else if (offset !== (offset | 0) || offset < 0 || !(dest instanceof Uint8Array)) {
+        throw new Error('invalid input');
+      }
+      this._bufferAt(offset, dest.byteLength, {signal}).then(() => {
+        resolve(this._cache.readBytesAt(offset, dest));
+      }).catch(reject);
+    });
+  }
+
+  /**
+   * Create a reader cursor with its own read position, sharing this
+   * stream's cache and downloads, such as for demuxing audio and video
+   * tracks that advance at different rates from one file.
+   *
+   * Readahead for readers follows whichever open reader is furthest
+   * behind; others download what they need when they get there.
+   * Each reader's position gets the same protection from eviction
+   * as the main read head's.
+   *
+   * @param {Object} options
+   * @param {number} options.offset - optional starting position; defaults
+   *                                  to the main read head's
+   * @returns {StreamReader}
+   */
+  createReader({offset=this.offset}={}) {
+    if (!this.loaded) {
+      throw new Error('invalid state');
+    }
+    const reader = new StreamReader(this, offset);
+    this._cache.addCursor(reader);
+    this._readAheadReaders();
+    return reader;
+  }
+
+  /**
+   * Pin a byte range so it stays in memory, such as container headers
+   * or an index that will be read again and again. Any data missing from
+   * the range is downloaded in the background without moving the read
+   * head; the promise resolves once it's all cached.
+   *
+   * Pinned bytes count against pinnedSize rather than cacheSize;
+   * pinning more than that throws an error.
+   *
+   * If the optional signal is aborted, the promise rejects with an AbortError
+   * but the range stays pinned and its downloads continue.
+   *
+   * @param {number} start - first byte offset to pin
+   * @param {number} end - offset to stop at, exclusive; clamped to the file length
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
+   * @returns {Promise} - resolved when the range is cached
+   */
+  pin(start, end, {signal=null}={}) {
+    return new Promise((resolve, reject) => {
+      if (!this.loaded) {
+        throw new Error('invalid state');
+      } else if (signal && signal.aborted) {
+        throw abortError();
+      } else if (start !== (start | 0) || end !== (end | 0) || start < 0 || end < start) {
+        throw new Error('invalid input');
+      }
+      end = this._clampToLength(end);
+      if (start >= end) {
+        resolve();
+        return;
+      }
+      if (!this.seekable && this._cache.gaps(start, end).length) {
+        throw new Error('pin on non-seekable stream');
+      }
+      this._cache.pin(start, end);
+      this.emit('bufferedchange');
+      abortable(this._fillRange(start, end, {pinned: true}), signal).then(resolve).catch(reject);
+    });
+  }
+
+  /**
+   * Unpin a byte range, or every pinned range if none is given,
+   * so data there may be evicted again.
+   * @param {number} start - optional first byte offset to unpin
+   * @param {number} end - optional offset to stop at, exclusive
+   */
+  unpin(start=0, end=Infinity) {
+    this._cache.unpin(start, end);
+    this._cache.gc();
+    this.emit('bufferedchange');
+  }
+
   // ------
   // private methods
   // ------
 
+  /**
+   * Keep downloading until the given number of bytes are available to read
+   * from the current offset, or end of file, without touching public state.
+   * @param {number} nbytes - max bytes to wait for
+   * @param {Object} op - pending operation; stops if op.canceled is set
+   * @returns {Promise} - resolved with available byte count when ready
+   */
+  _bufferLoop(nbytes, op) {
+    return new Promise((resolve, reject) => {
+      if (op.canceled) {
+        throw abortError();
+      }
+      const end = this._clampToLength(this.offset + nbytes);
+      const readable = end - this.offset;
+
+      let available = this.bytesAvailable(readable);
+      if (available >= readable) {
+        resolve(available);
+        return;
+      }
+
+      // If we don't already have a backend open, start downloading.
+      this._openBackend(end).then((backend) => {
+        if (backend) {
+          return backend.bufferToOffset(end).catch((err) => {
+            // If the connection dropped, wait and then pick up
+            // where it left off; data already cached is kept.
+            return this._retry(err);
+          }).then(() => {
+            // We might have to roll over to another download,
+            // so loop back around!
+            return this._bufferLoop(nbytes, op);
+          });
+        } else {
+          // No more data to read, though some may have come from storage.
+          return this.bytesAvailable(readable);
+        }
+      }).then(resolve).catch(reject);
+    });
+  }
+
+  /**
+   * Wait until the given number of bytes are available to read from the
+   * given offset, or end of file, without touching the read head.
+   * Used for positional reads and reader cursors.
+   * @param {number} offset
+   * @param {number} nbytes - max bytes to wait for
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - optional AbortSignal to cancel with
+   * @param {number} options.timeout - optional time limit in milliseconds
+   * @param {number} ahead - optional byte count to size new downloads to,
+   *                         if bigger than nbytes
+   * @returns {Promise} - resolved with available byte count when ready
+   */
+  _bufferAt(offset, nbytes, {signal=null, timeout=0}={}, ahead=0) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        throw abortError();
+      }
+      const end = this._clampToLength(offset + nbytes);
+      if (end <= offset) {
+        resolve(0);
+        return;
+      }
+      const available = this._cache.bytesReadableAt(offset, end - offset);
+      if (available >= end - offset) {
+        resolve(available);
+        return;
+      }
+      if (!this.seekable) {
+        throw new Error('positional read on non-seekable stream');
+      }
+
+      // Don't let the data go before it can be copied out.
+      const hold = this._cache.hold(offset, end);
+      const release = () => this._cache.release(hold);
+      const filled = this._fillRange(offset, end, {ahead: offset + Math.max(nbytes, ahead)});
+      deadline(abortable(filled, signal, release), timeout, release).then(() => {
+        release();
+        resolve(this._cache.bytesReadableAt(offset, this._clampToLength(end) - offset));
+      }).catch((err) => {
+        release();
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Read ahead of the furthest-behind reader cursor, in the background.
+   */
+  _readAheadReaders() {
+    const cursors = this._cache.cursors;
+    if (!cursors.length || this._readerReadAhead || !this.seekable) {
+      return;
+    }
+    let offset = Infinity;
+    cursors.forEach((cursor) => {
+      offset = Math.min(offset, cursor.offset);
+    });
+    const end = this._clampToLength(offset + this._chunkSize);
+    if (end <= offset) {
+      return;
+    }
+    // Failures will be reported by the next buffer() on a reader.
+    const op = this._readerReadAhead = this._fillRange(offset, end).catch(() => {}).then(() => {
+      if (this._readerReadAhead === op) {
+        this._readerReadAhead = null;
+      }
+    });
+  }
+
+  /**
+   * Drop a reader cursor from readahead and eviction protection.
+   * @param {StreamReader} reader
+   */
+  _closeReader(reader) {
+    this._cache.removeCursor(reader);
+  }
+
+  /**
+   * Download whatever is missing from a range, one gap at a time, without
+   * moving the read head. Gaps are filled from storage if possible, or by
+   * any download already filling them, or else by a new one; such
+   * downloads keep running through seeks, as readahead would not.
+   * @param {number} start
+   * @param {number} end
+   * @param {Object} options
+   * @param {boolean} options.pinned - stop early if the range is unpinned
+   * @param {boolean} options.storage - whether to check storage first
+   * @param {number} options.ahead - optional offset to extend new downloads to
+   * @returns {Promise} - resolved when the range is cached
+   */
+  _fillRange(start, end, {pinned=false, storage=true, ahead=end}={}) {
+    return new Promise((resolve, reject) => {
+      // We may have learned the length since the last pass.
+      end = this._clampToLength(end);
+      const gap = this._cache.gaps(start, end).filter((range) => {
+        return !pinned || this._cache.pins.some((pin) => pin[0] <= range[0] && range[0] < pin[1]);
+      })[0];
+      if (!gap) {
+        resolve();
+        return;
+      }
+
+      let download = this._downloads.filter((d) => {
+        return d.writer.offset <= gap[0] && gap[0] < d.end;
+      })[0];
+      if (!download && storage && this._storageKey) {
+        this._fillFromStorage(gap[0], gap[1] - gap[0]).then((filled) => {
+          return this._fillRange(start, end, {pinned, storage: filled, ahead});
+        }).then(resolve).catch(reject);
+        return;
+      }
+      if (!download) {
+        // Stop short of other downloads' write heads.
+        const writer = this._cache.openWriter(gap[0]);
+        const writable = writer.bytesWritable(this._clampToLength(Math.max(gap[1], ahead)) - gap[0]);
+        this._cache.closeWriter(writer);
+        download = this._startDownload(gap[0], writable);
+      }
+      download.background = true;
+
+      download.open.then((backend) => {
+        return backend.bufferToOffset(Math.min(gap[1], download.end));
+      }).catch((err) => {
+        return this._retry(err, true);
+      }).then(() => {
+        return this._fillRange(start, end, {pinned, ahead});
+      }).then(resolve).catch(reject);
+    });
+  }
+
+  /**
+   * Should the active downloads keep running after a seek to the given
+   * offset? True if the target is cached, or a download will reach
+   * it soon anyway.
+   * @param {number} offset - target offset; the read head is already there
+   * @returns {boolean}
+   */
+  _keepsDownload(offset) {
+    if (this._cache.bytesReadable(1) > 0) {
+      return true;
+    }
+    return this._downloads.some((download) => {
+      const writeOffset = download.writer.offset;
+      return offset >= writeOffset &&
+        offset < download.end &&
+        offset - writeOffset <= this._seekThreshold;
+    });
+  }
+
+  /**
+   * Find the active download whose data will continue on from the given
+   * end of readable data, rather than leaving a gap.
+   * @param {number} readTail - offset where readable data runs out
+   * @returns {Object|null} - download record
+   */
+  _downloadAt(readTail) {
+    const found = this._downloads.filter((download) => {
+      return download.writer.offset <= readTail && readTail <= download.end;
+    });
+    return found.length ? found[0] : null;
+  }
+
+  /**
+   * With adaptive chunk sizing, pick the next chunk size based on how
+   * a completed download went. Like TCP slow start, sizes at most double
+   * each time, up to enough data to cover several round trips at the
+   * measured rate; on slow links this shrinks them again.
+   * @param {Object} download - completed download
+   */
+  _adaptChunkSize(download) {
+    if (!this._adaptiveChunkSize || !download.openTime) {
+      return;
+    }
+    const latency = Math.max(download.openTime - download.startTime, 1);
+    const transfer = Math.max(Date.now() - download.openTime, 1);
+    const bytesPerMs = download.backend.bytesRead / transfer;
+    const target = bytesPerMs * latency * ROUND_TRIPS_PER_CHUNK;
+    const size = Math.floor(Math.min(this._chunkSize * 2, target));
+    this._chunkSize = Math.max(this._minChunkSize, Math.min(this._maxChunkSize, size));
+  }
+
+  /**
+   * Copy data from storage into the cache at the given offset, if any is
+   * stored there and the space is still empty.
+   * @param {number} offset - where readable data runs out
+   * @param {number} length - max bytes to fill
+   * @returns {Promise} - resolved with true if anything was filled
+   */
+  _fillFromStorage(offset, length) {
+    const key = this._storageKey;
+    return this._storage.read(key, offset, offset + length).catch(() => null).then((buffer) => {
+      if (!buffer || buffer.byteLength === 0 || key !== this._storageKey) {
+        return false;
+      }
+      const writer = this._cache.openWriter(offset);
+      const writable = Math.min(buffer.byteLength, writer.bytesWritable(length));
+      if (writable > 0) {
+        writer.write(writable < buffer.byteLength ? buffer.slice(0, writable) : buffer);
+      }
+      this._cache.closeWriter(writer);
+      if (writable > 0) {
+        this.emit('bufferedchange');
+      }
+      return writable > 0;
+    });
+  }
+
+  /**
+   * Save the data a download received to storage, in the background,
+   * copying it back out of the cache. Binary strings were converted
+   * to bytes on the way in, so they're stored like any other data;
+   * anything evicted before the download ended is left out.
+   * @param {Object} download
+   */
+  _persist(download) {
+    if (!download.storageKey) {
+      return;
+    }
+    const end = download.writer.offset;
+    let offset = download.start;
+    while (offset < end) {
+      const length = this._cache.bytesReadableAt(offset, end - offset);
+      if (length > 0) {
+        const bytes = new Uint8Array(length);
+        this._cache.peekBytesAt(offset, bytes);
+        this._storage.write(download.storageKey, offset, bytes.buffer).catch(() => {});
+        offset += length;
+      } else {
+        offset = this._cache.gaps(offset, end)[0][1];
+      }
+    }
+  }
+
+  /**
+   * Drop a download from the active list, without aborting it.
+   * Whatever data it got so far is saved to storage.
+   * @param {Object} download
+   */
+  _removeDownload(download) {
+    this._persist(download);
+    this._stats.requestEnd(download.stats, 'aborted');
+    clearTimeout(download.stallTimer);
+    download.stallTimer = null;
+    this._downloads = this._downloads.filter((d) => d !== download);
+    this._cache.closeWriter(download.writer);
+  }
+
+  /**
+   * Restart the stall timer for the given active download.
+   * @param {Object} download
+   */
+  _watchStall(download) {
+    clearTimeout(download.stallTimer);
+    download.stallTimer = null;
+    // Without progressive download, a slow chunk sends nothing until
+    // it's complete, which can't be told apart from a stall.
+    if (this._stallTimeout > 0 && download.backend.progressive !== false) {
+      download.stallTimer = setTimeout(() => {
+        download.stallTimer = null;
+        if (this._downloads.indexOf(download) === -1) {
+          return;
+        }
+        this.emit('stalled');
+        if (this._stallReconnect) {
+          // Anyone waiting will retry from the current write offset.
+          const err = timeoutError('download stalled');
+          err.stalled = true;
+          this._removeDownload(download);
+          download.backend.abort(err);
+        }
+      }, this._stallTimeout);
+    }
+  }
+
+  /**
+   * Cancel pending buffering and the readahead download, such as when an
+   * iterator or stream adapter stops reading early, leaving the stream
+   * usable. Unlike abort(), downloads for pin(), readAt() and readers
+   * keep going, and no 'abort' event is sent.
+   */
+  _cancelReadAhead() {
+    if (this.buffering) {
+      this.buffering = false;
+    }
+    if (this._bufferOp) {
+      this._bufferOp.canceled = true;
+      this._bufferOp = null;
+    }
+    this._abortDownload();
+  }
+
+  /**
+   * Cancel the active downloads and any pending retry.
+   * @param {boolean} background - also cancel downloads for pin() and readAt()
+   */
+  _abortDownload(background=false) {
+    // Abort any active backend requests...
+    const downloads = this._downloads.filter((download) => background || !download.background);
+    downloads.forEach((download) => {
+      this._removeDownload(download);
+      download.backend.abort();
+    });
+
+    // ...or any pending retry.
+    const waits = this._retryWaits.filter((wait) => background || !wait.background);
+    this._retryWaits = this._retryWaits.filter((wait) => waits.indexOf(wait) === -1);
+    this._retryCount = 0;
+    waits.forEach((wait) => {
+      wait.abort(abortError());
+    });
+  }
+
+  /**
+   * Wait before retrying after a failed or dropped request, if the error
+   * is retryable and we have retries left; otherwise reject with the error.
+   * Stalled downloads dropped by stallReconnect get at least one retry,
+   * with no wait since we've waited out the stall already. Downloads that
+   * ran into data cached by another resolve right away, without a retry.
+   * @param {Error} err
+   * @param {boolean} background - retrying for pin(), readAt() or readers,
+   *                               so only a full abort() cancels the wait
+   * @returns {Promise}
+   */
+  _retry(err, background=false) {
+    return new Promise((resolve, reject) => {
+      if (err.superseded) {
+        resolve();
+        return;
+      }
+      const retries = err.stalled ? Math.max(1, this._retries) : this._retries;
+      if (!this._isRetryable(err) || this._retryCount >= retries) {
+        if (err.name !== 'AbortError') {
+          this.emit('error', err);
+        }
+        reject(err);
+        return;
+      }
+
+      let delay = err.stalled ? 0 : parseRetryAfter(err.retryAfter);
+      if (delay < 0) {
+        // Exponential backoff, with jitter so many clients don't
+        // all come back at once.
+        const backoff = this._retryDelay * Math.pow(2, this._retryCount);
+        delay = backoff / 2 + Math.random() * backoff / 2;
+      }
+      this._retryCount++;
+
+      const wait = {
+        background,
+        abort: null
+      };
+      const timeout = setTimeout(() => {
+        this._retryWaits = this._retryWaits.filter((w) => w !== wait);
+        resolve();
+      }, delay);
+      wait.abort = (abortErr) => {
+        clearTimeout(timeout);
+        reject(abortErr);
+      };
+      this._retryWaits.push(wait);
+    });
+  }
+
+  _isRetryable(err) {
+    if (err.name === 'NetworkError' || err.name === 'TimeoutError') {
+      return true;
+    } else if (typeof err.status === 'number') {
+      return this._retryOn.indexOf(err.status) !== -1;
+    } else {
+      return false;
+    }
+  }
+
   _clampToLength(offset) {
     if (this.length < 0) {
       return offset;
@@ -407,4 +1473,62 @@ class StreamFile {
   }
 }
 
+// for await (const buffer of stream) { ... }
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  StreamFile.prototype[Symbol.asyncIterator] = function() {
+    return this.chunks();
+  };
+}
+
+/**
+ * Base class for custom backends; see the readme for the interface.
+ */
+StreamFile.Backend = Backends.Backend;
+
+/**
+ * Base class for custom progressive download backends,
+ * providing bufferToOffset() on top of 'buffer' and 'done' events.
+ */
+StreamFile.DownloadBackend = Backends.DownloadBackend;
+
+/**
+ * Base class for custom cache eviction policies, with the built-in
+ * LRUPolicy, LFUPolicy and DistancePolicy as properties.
+ */
+StreamFile.EvictionPolicy = CachePool.EvictionPolicy;
+
+/**
+ * Storage adapter keeping downloaded ranges in memory, for sharing
+ * between StreamFile instances.
+ */
+StreamFile.MemoryStorage = PersistentCache.MemoryStorage;
+
+/**
+ * Storage adapter keeping downloaded ranges in files under a directory.
+ * Node only; undefined in browser bundles.
+ */
+StreamFile.FileStorage = PersistentCache.FileStorage;
+
+/**
+ * Register a custom backend class for autoselection.
+ * Higher priorities are tried first; built-in backends use 50 to 100.
+ * The class's static supported(options) is checked before use.
+ *
+ * @param {function} backendClass
+ * @param {Object} options
+ * @param {number} options.priority
+ */
+StreamFile.registerBackend = function(backendClass, options) {
+  Backends.register(backendClass, options);
+};
+
+/**
+ * Remove a backend class from autoselection.
+ * @param {function} backendClass
+ * @returns {boolean} - true if it was registered
+ */
+StreamFile.unregisterBackend = function(backendClass) {
+  return Backends.unregister(backendClass);
+};
+
 module.exports = StreamFile;
@@ -0,0 +1,72 @@
+"use strict";
+
+const ReadRange = require('../read-range');
+
+/**
+ * Create a byte ReadableStream reading from a StreamFile.
+ *
+ * Pulls are served by waiting on buffer() and then copying with readBytes()
+ * straight into the reader's view, so BYOB readers avoid an extra copy.
+ * Since the stream is only pulled when a reader asks for data, consumer
+ * backpressure limits buffering to what the StreamFile reads ahead anyway.
+ * Canceling the stream cancels the StreamFile's readahead download.
+ *
+ * @param {StreamFile} stream
+ * @param {Object} options
+ * @param {number} options.start - optional offset to seek to before reading
+ * @param {number} options.end - optional offset to stop at, exclusive
+ * @param {number} options.chunkSize - size of chunks for default readers
+ * @returns {ReadableStream}
+ */
+function createReadableStream(stream, {start=undefined, end=undefined, chunkSize=65536}={}) {
+  if (typeof ReadableStream !== 'function') {
+    throw new Error('ReadableStream not supported');
+  }
+  const range = new ReadRange(stream, {start, end});
+  let canceled = false;
+
+  function close(controller, request) {
+    controller.close();
+    if (request) {
+      // Return the reader's buffer along with the end of stream.
+      request.respond(0);
+    }
+  }
+
+  return new ReadableStream({
+    type: 'bytes',
+    autoAllocateChunkSize: chunkSize,
+
+    pull(controller) {
+      return range.begin().then(() => {
+        const request = controller.byobRequest;
+        const nbytes = range.clamp(request ? request.view.byteLength : chunkSize);
+        if (nbytes <= 0 || stream.eof) {
+          close(controller, request);
+          return undefined;
+        }
+        return stream.buffer(nbytes).then((available) => {
+          if (canceled) {
+            return;
+          }
+          if (available === 0) {
+            close(controller, request);
+          } else if (request) {
+            const view = request.view;
+            const dest = new Uint8Array(view.buffer, view.byteOffset, available);
+            request.respond(stream.readBytes(dest));
+          } else {
+            controller.enqueue(new Uint8Array(stream.readSync(available)));
+          }
+        });
+      });
+    },
+
+    cancel() {
+      canceled = true;
+      range.cancel();
+    }
+  });
+}
+
+module.exports = createReadableStream;
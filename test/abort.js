@@ -0,0 +1,98 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const {useRangeServer, testData} = require('./util/range-server.js');
+
+describe('StreamFile AbortSignal support', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  function abortAfter(ms) {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), ms);
+    return controller.signal;
+  }
+
+  function expectAbort(promise) {
+    return promise.then(() => {
+      assert.fail('should have been aborted');
+    }, (err) => {
+      assert.equal(err.name, 'AbortError');
+    });
+  }
+
+  it('should reject immediately with an already-aborted signal', function() {
+    const controller = new AbortController();
+    controller.abort();
+    const stream = new StreamFile({url: server.url});
+    return expectAbort(stream.load({signal: controller.signal})).then(() => {
+      assert.ok(!stream.loading);
+      assert.equal(server.requests.length, 0);
+    });
+  });
+
+  it('should cancel load() and allow loading again', function() {
+    server.failures.push({delay: 200});
+    const stream = new StreamFile({url: server.url});
+    return expectAbort(stream.load({signal: abortAfter(20)})).then(() => {
+      assert.ok(!stream.loading, 'not loading after abort');
+      assert.ok(!stream.loaded, 'not loaded after abort');
+      return stream.load();
+    }).then(() => {
+      assert.ok(stream.loaded);
+      assert.equal(stream.length, data.length);
+    });
+  });
+
+  it('should cancel buffer() but keep the download running', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      return stream.read(65536);
+    }).then(() => {
+      assert.equal(server.requests.length, 1);
+      server.failures.push({delay: 100});
+      return expectAbort(stream.buffer(1000, {signal: abortAfter(20)}));
+    }).then(() => {
+      assert.ok(!stream.buffering, 'not buffering after abort');
+      return stream.read(1000);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(65536, 66536)));
+      assert.equal(server.requests.length, 2, 'reused the in-flight download');
+    });
+  });
+
+  it('should cancel read() only for that call', function() {
+    const controller = new AbortController();
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      return stream.seek(100000);
+    }).then(() => {
+      // Needs more than the current chunk, so waits on the network.
+      server.failures.push({delay: 100});
+      const promise = stream.read(70000, {signal: controller.signal});
+      controller.abort();
+      return expectAbort(promise);
+    }).then(() => {
+      assert.equal(stream.offset, 100000, 'read head did not move');
+      return stream.read(70000);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(100000, 170000)));
+    });
+  });
+
+  it('should cancel seek() leaving the new position', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      server.failures.push({delay: 100});
+      return expectAbort(stream.seek(150000, {signal: abortAfter(20)}));
+    }).then(() => {
+      assert.equal(stream.offset, 150000);
+      assert.ok(!stream.seeking);
+      return stream.read(1000);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(150000, 151000)));
+    });
+  });
+});
@@ -0,0 +1,82 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const {useRangeServer, testData} = require('./util/range-server.js');
+
+describe('StreamFile adaptive chunk sizing', function() {
+  const data = testData(1000000);
+  const server = useRangeServer(data);
+
+  function requestSizes() {
+    return server.requests.map((request) => {
+      const matches = request.headers['range'].match(/^bytes=(\d+)-(\d+)$/);
+      return parseInt(matches[2], 10) - parseInt(matches[1], 10) + 1;
+    });
+  }
+
+  function newStream() {
+    return new StreamFile({
+      url: server.url,
+      adaptiveChunkSize: true,
+      minChunkSize: 16384,
+      maxChunkSize: 262144,
+      cacheSize: 4 * 1024 * 1024
+    });
+  }
+
+  it('should probe small and grow up to the max', function() {
+    const stream = newStream();
+    return stream.load().then(() => {
+      return stream.read(data.length);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data));
+      const sizes = requestSizes();
+      assert.equal(sizes[0], 16384, 'starts with a probe');
+      for (let i = 1; i < sizes.length - 1; i++) {
+        assert.ok(sizes[i] <= sizes[i - 1] * 2, 'grows at most twice as big each time');
+        assert.ok(sizes[i] <= 262144, 'stays within max');
+      }
+      assert.ok(Math.max.apply(null, sizes) > 16384, 'grew on a fast link');
+    });
+  });
+
+  it('should probe small again after a seek', function() {
+    const stream = newStream();
+    return stream.load().then(() => {
+      return stream.read(300000);
+    }).then(() => {
+      const count = server.requests.length;
+      return stream.seek(700000).then(() => {
+        assert.deepEqual(server.requests[count].headers['range'], 'bytes=700000-716383');
+      });
+    });
+  });
+
+  it('should shrink chunks on a slow link', function() {
+    const stream = newStream();
+    stream._chunkSize = 262144;
+    const now = Date.now();
+    stream._adaptChunkSize({
+      // 100ms round trip, then 20KB in 1s
+      startTime: now - 1100,
+      openTime: now - 1000,
+      backend: {bytesRead: 20000}
+    });
+    assert.ok(stream._chunkSize >= 31000 && stream._chunkSize <= 32000,
+      'sized for 16 round trips: ' + stream._chunkSize);
+  });
+
+  it('should leave fixed chunk sizes alone', function() {
+    const stream = new StreamFile({
+      url: server.url,
+      chunkSize: 100000
+    });
+    return stream.load().then(() => {
+      return stream.read(300000);
+    }).then(() => {
+      assert.deepEqual(requestSizes().slice(0, 3), [100000, 100000, 100000]);
+    });
+  });
+});
@@ -0,0 +1,509 @@
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const url = require('url');
+
+const StreamFile = require('../lib/stream-file.js');
+const FetchBackend = require('../lib/backend/fetch-backend.js');
+const NodeHTTPBackend = require('../lib/backend/node-http-backend.js');
+const FileBackend = require('../lib/backend/file-backend.js');
+const BlobBackend = require('../lib/backend/blob-backend.js');
+const MemoryBackend = require('../lib/backend/memory-backend.js');
+const {useRangeServer, testData} = require('./util/range-server.js');
+
+// Wait for a backend to send 'done' after its last data.
+function drained(backend) {
+  return new Promise((resolve) => {
+    if (backend.eof) {
+      resolve();
+    } else {
+      backend.on('done', resolve);
+    }
+  });
+}
+
+describe('FetchBackend', function() {
+  const data = testData(100000);
+  const server = useRangeServer(data);
+
+  it('should be supported where fetch and ReadableStream exist', function() {
+    assert.ok(FetchBackend.supported());
+  });
+
+  it('should request a range and emit ArrayBuffer chunks', function() {
+    const backend = new FetchBackend({
+      url: server.url,
+      offset: 1000,
+      length: 5000
+    });
+    const chunks = [];
+    backend.on('buffer', (buffer) => {
+      assert.ok(buffer instanceof ArrayBuffer, 'buffer is ArrayBuffer');
+      chunks.push(new Uint8Array(buffer));
+    });
+    return backend.load().then(() => {
+      assert.ok(backend.seekable, 'seekable on 206');
+      assert.equal(backend.length, data.length, 'total length from Content-Range');
+      assert.equal(backend.headers['content-type'], 'application/octet-stream');
+      assert.equal(server.requests[server.requests.length - 1].headers.range, 'bytes=1000-5999');
+      return backend.bufferToOffset(6000);
+    }).then(() => {
+      assert.equal(backend.offset + backend.bytesRead, 6000);
+      return drained(backend);
+    }).then(() => {
+      assert.ok(backend.eof, 'reached end of chunk');
+      assert.equal(backend.bytesRead, 5000);
+      const bytes = Buffer.concat(chunks.map((c) => Buffer.from(c)));
+      assert.ok(bytes.equals(data.slice(1000, 6000)), 'got expected bytes');
+    });
+  });
+
+  it('should resolve bufferToOffset() once data reaches the offset', function() {
+    server.failures.push({stall: 3000});
+    const backend = new FetchBackend({
+      url: server.url,
+      offset: 1000,
+      length: 5000
+    });
+    return backend.load().then(() => {
+      return backend.bufferToOffset(4000);
+    }).then(() => {
+      assert.equal(backend.offset + backend.bytesRead, 4000);
+      assert.ok(!backend.eof, 'rest of the chunk still pending');
+      backend.abort();
+    });
+  });
+
+  it('should reject on HTTP errors', function() {
+    const backend = new FetchBackend({
+      url: server.url,
+      offset: data.length + 10,
+      length: 10
+    });
+    return backend.load().then(() => {
+      assert.fail('should not load');
+    }, (err) => {
+      assert.equal(err.message, 'HTTP error 416');
+    });
+  });
+});
+
+describe('NodeHTTPBackend', function() {
+  const data = testData(100000);
+  const server = useRangeServer(data);
+
+  it('should be supported in node', function() {
+    assert.ok(NodeHTTPBackend.supported());
+  });
+
+  it('should request a range and emit ArrayBuffer chunks', function() {
+    const backend = new NodeHTTPBackend({
+      url: server.url,
+      offset: 1000,
+      length: 5000
+    });
+    const chunks = [];
+    backend.on('buffer', (buffer) => {
+      assert.ok(buffer instanceof ArrayBuffer, 'buffer is ArrayBuffer');
+      chunks.push(Buffer.from(buffer));
+    });
+    return backend.load().then(() => {
+      assert.ok(backend.seekable, 'seekable on 206');
+      assert.equal(backend.length, data.length, 'total length from Content-Range');
+      assert.equal(backend.headers['content-type'], 'application/octet-stream');
+      assert.equal(server.requests[server.requests.length - 1].headers.range, 'bytes=1000-5999');
+      return backend.bufferToOffset(6000);
+    }).then(() => {
+      assert.equal(backend.offset + backend.bytesRead, 6000);
+      return drained(backend);
+    }).then(() => {
+      assert.ok(backend.eof, 'reached end of chunk');
+      assert.equal(backend.bytesRead, 5000);
+      assert.ok(Buffer.concat(chunks).equals(data.slice(1000, 6000)), 'got expected bytes');
+    });
+  });
+
+  it('should resolve bufferToOffset() once data reaches the offset', function() {
+    server.failures.push({stall: 3000});
+    const backend = new NodeHTTPBackend({
+      url: server.url,
+      offset: 1000,
+      length: 5000
+    });
+    return backend.load().then(() => {
+      return backend.bufferToOffset(4000);
+    }).then(() => {
+      assert.equal(backend.offset + backend.bytesRead, 4000);
+      assert.ok(!backend.eof, 'rest of the chunk still pending');
+      backend.abort();
+    });
+  });
+
+  it('should follow redirects', function() {
+    const backend = new NodeHTTPBackend({
+      url: server.url.replace('/file.bin', '/redirect'),
+      offset: 0,
+      length: 100
+    });
+    return backend.load().then(() => {
+      assert.ok(backend.seekable);
+      assert.equal(backend.length, data.length);
+      return backend.bufferToOffset(100);
+    }).then(() => {
+      assert.equal(backend.bytesRead, 100);
+    });
+  });
+
+  it('should reject on HTTP errors', function() {
+    const backend = new NodeHTTPBackend({
+      url: server.url,
+      offset: data.length + 10,
+      length: 10
+    });
+    return backend.load().then(() => {
+      assert.fail('should not load');
+    }, (err) => {
+      assert.equal(err.message, 'HTTP error 416');
+    });
+  });
+});
+
+describe('StreamFile in node', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  it('should load, seek and read', function() {
+    const stream = new StreamFile({
+      url: server.url,
+      chunkSize: 64 * 1024
+    });
+    return stream.load().then(() => {
+      assert.ok(stream.loaded);
+      assert.ok(stream.seekable);
+      assert.equal(stream.length, data.length);
+      return stream.seek(200000);
+    }).then(() => {
+      assert.equal(stream.offset, 200000);
+      return stream.read(150000);
+    }).then((buffer) => {
+      assert.equal(buffer.byteLength, 100000, 'short read at end of file');
+      assert.ok(Buffer.from(buffer).equals(data.slice(200000)), 'got expected bytes');
+      assert.ok(stream.eof);
+    });
+  });
+});
+
+describe('FileBackend', function() {
+  const data = testData(200000);
+  let dir, file;
+
+  before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-file-'));
+    file = path.join(dir, 'file.bin');
+    fs.writeFileSync(file, data);
+  });
+
+  after(function() {
+    fs.unlinkSync(file);
+    fs.rmdirSync(dir);
+  });
+
+  it('should read a range from a path', function() {
+    const backend = new FileBackend({
+      path: file,
+      offset: 150000,
+      length: 100000
+    });
+    const chunks = [];
+    backend.on('buffer', (buffer) => {
+      chunks.push(Buffer.from(buffer));
+    });
+    return backend.load().then(() => {
+      assert.ok(backend.seekable);
+      assert.equal(backend.length, data.length, 'length from stat');
+      return backend.bufferToOffset(250000);
+    }).then(() => {
+      assert.ok(backend.eof);
+      assert.equal(backend.bytesRead, 50000, 'clamped to end of file');
+      assert.ok(Buffer.concat(chunks).equals(data.slice(150000)), 'got expected bytes');
+    });
+  });
+
+  it('should fail on missing files', function() {
+    const backend = new FileBackend({
+      path: path.join(dir, 'missing.bin'),
+      offset: 0,
+      length: 100
+    });
+    return backend.load().then(() => {
+      assert.fail('should not load');
+    }, (err) => {
+      assert.equal(err.code, 'ENOENT');
+    });
+  });
+
+  it('should back StreamFile via path or file:// URL', function() {
+    const streams = [
+      new StreamFile({path: file, chunkSize: 65536}),
+      new StreamFile({url: url.pathToFileURL(file).toString(), chunkSize: 65536})
+    ];
+    return Promise.all(streams.map((stream) => {
+      return stream.load().then(() => {
+        assert.ok(stream.seekable);
+        assert.equal(stream.length, data.length);
+        return stream.seek(100000);
+      }).then(() => {
+        return stream.read(100000);
+      }).then((buffer) => {
+        assert.ok(Buffer.from(buffer).equals(data.slice(100000)), 'got expected bytes');
+        assert.ok(stream.eof);
+        const ranges = stream.getBufferedRanges();
+        assert.deepEqual(ranges[ranges.length - 1], [100000, 200000]);
+      });
+    }));
+  });
+});
+
+describe('BlobBackend', function() {
+  const data = testData(200000);
+  const blob = new Blob([data], {type: 'video/ogg'});
+
+  it('should read a range from a Blob', function() {
+    const backend = new BlobBackend({
+      blob,
+      offset: 150000,
+      length: 100000
+    });
+    const chunks = [];
+    backend.on('buffer', (buffer) => {
+      assert.ok(buffer instanceof ArrayBuffer, 'buffer is ArrayBuffer');
+      chunks.push(Buffer.from(buffer));
+    });
+    return backend.load().then(() => {
+      assert.ok(backend.seekable);
+      assert.equal(backend.length, data.length, 'length from Blob size');
+      assert.equal(backend.headers['content-type'], 'video/ogg');
+      return backend.bufferToOffset(250000);
+    }).then(() => {
+      assert.ok(backend.eof);
+      assert.equal(backend.bytesRead, 50000, 'clamped to end of blob');
+      assert.ok(Buffer.concat(chunks).equals(data.slice(150000)), 'got expected bytes');
+    });
+  });
+
+  it('should back StreamFile', function() {
+    const stream = new StreamFile({blob, chunkSize: 65536});
+    return stream.load().then(() => {
+      assert.ok(stream.seekable);
+      assert.equal(stream.length, data.length);
+      return stream.seek(100000);
+    }).then(() => {
+      return stream.read(100000);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(100000)), 'got expected bytes');
+      assert.ok(stream.eof);
+    });
+  });
+});
+
+describe('MemoryBackend', function() {
+  const data = testData(200000);
+
+  it('should read a range from a typed array', function() {
+    const backend = new MemoryBackend({
+      data: data.subarray(100),
+      offset: 1000,
+      length: 5000
+    });
+    const chunks = [];
+    backend.on('buffer', (buffer) => {
+      chunks.push(Buffer.from(buffer));
+    });
+    return backend.load().then(() => {
+      assert.ok(backend.seekable);
+      assert.equal(backend.length, data.length - 100);
+      return backend.bufferToOffset(6000);
+    }).then(() => {
+      assert.ok(Buffer.concat(chunks).equals(data.slice(1100, 6100)), 'got expected bytes');
+    });
+  });
+
+  it('should decode base64 data: URLs', function() {
+    const backend = new MemoryBackend({
+      url: 'data:application/octet-stream;base64,' + data.slice(0, 300).toString('base64'),
+      offset: 0,
+      length: 0
+    });
+    assert.equal(backend.headers['content-type'], 'application/octet-stream');
+    assert.ok(Buffer.from(backend.bytes).equals(data.slice(0, 300)));
+  });
+
+  it('should decode base64 data: URLs without padding or with whitespace', function() {
+    [299, 298].forEach((length) => {
+      const encoded = data.slice(0, length).toString('base64');
+      [encoded.replace(/=+$/, ''), encoded.replace(/(.{76})/g, '$1 ')].forEach((text) => {
+        const backend = new MemoryBackend({
+          url: 'data:;base64,' + text,
+          offset: 0,
+          length: 0
+        });
+        assert.ok(Buffer.from(backend.bytes).equals(data.slice(0, length)));
+      });
+    });
+  });
+
+  it('should reuse a data: URL decoded by an earlier backend', function() {
+    const url = 'data:;base64,' + data.slice(0, 3000).toString('base64');
+    const first = new MemoryBackend({url, offset: 0, length: 1000});
+    const second = new MemoryBackend({url, dataURL: first.dataURL, offset: 1000, length: 1000});
+    assert.strictEqual(second.bytes, first.bytes);
+    const other = new MemoryBackend({url, offset: 1000, length: 1000});
+    assert.notStrictEqual(other.bytes, first.bytes, 'nothing kept between unrelated backends');
+  });
+
+  it('should decode percent-encoded data: URLs', function() {
+    const backend = new MemoryBackend({
+      url: 'data:,a%20b%FF%C3%A9\u00e9',
+      offset: 0,
+      length: 0
+    });
+    assert.equal(backend.headers['content-type'], 'text/plain;charset=US-ASCII');
+    assert.deepEqual(Array.from(backend.bytes), [0x61, 0x20, 0x62, 0xff, 0xc3, 0xa9, 0xc3, 0xa9]);
+  });
+
+  it('should back StreamFile with chunked readahead', function() {
+    const stream = new StreamFile({
+      data: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+      chunkSize: 65536
+    });
+    return stream.load().then(() => {
+      assert.ok(stream.seekable);
+      assert.equal(stream.length, data.length);
+      return stream.buffer(1000);
+    }).then((available) => {
+      assert.equal(available, 1000);
+      assert.deepEqual(stream.getBufferedRanges(), [[0, 65536]], 'one chunk buffered');
+      const dest = new Uint8Array(1000);
+      assert.equal(stream.readBytes(dest), 1000);
+      assert.ok(Buffer.from(dest).equals(data.slice(0, 1000)));
+      return stream.seek(data.length - 10);
+    }).then(() => {
+      return stream.read(100);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(data.length - 10)));
+      assert.ok(stream.eof);
+    });
+  });
+
+  it('should back StreamFile from a data: URL', function() {
+    const stream = new StreamFile({
+      url: 'data:text/plain,hello%20world'
+    });
+    return stream.load().then(() => {
+      assert.equal(stream.length, 11);
+      assert.equal(stream.headers['content-type'], 'text/plain');
+      return stream.read(100);
+    }).then((buffer) => {
+      assert.equal(Buffer.from(buffer).toString(), 'hello world');
+      assert.ok(stream.eof);
+    });
+  });
+
+  it('should decode a data: URL once per StreamFile', function() {
+    const stream = new StreamFile({
+      url: 'data:;base64,' + data.slice(0, 3000).toString('base64'),
+      chunkSize: 1000
+    });
+    let decoded;
+    return stream.load().then(() => {
+      decoded = stream._dataURL;
+      return stream.read(3000);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(0, 3000)));
+      assert.strictEqual(stream._dataURL, decoded);
+    });
+  });
+});
+
+describe('backend registry', function() {
+  const data = testData(1000);
+  const created = [];
+
+  class TestBackend extends StreamFile.DownloadBackend {
+    constructor(options) {
+      super(options);
+      created.push(this);
+    }
+
+    load() {
+      const end = this.length ? this.offset + this.length : data.length;
+      this.seekable = true;
+      this.length = data.length;
+      this.headers = {'x-test': 'yes'};
+      this.emit('open');
+      setTimeout(() => {
+        const bytes = data.slice(this.offset, end);
+        this.bytesRead = bytes.length;
+        this.emit('buffer', bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+        this.eof = true;
+        this.emit('done');
+      }, 0);
+      return Promise.resolve();
+    }
+
+    abortRequest() {
+      // nothing to cancel
+    }
+  }
+  TestBackend.supported = function(options) {
+    return !options || /^(test|data):/.test(options.url);
+  };
+
+  afterEach(function() {
+    StreamFile.unregisterBackend(TestBackend);
+    created.length = 0;
+  });
+
+  function readAll(stream) {
+    return stream.load().then(() => stream.read(data.length)).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data));
+      assert.equal(stream.headers['x-test'], 'yes');
+    });
+  }
+
+  it('should use a backend class passed as an option', function() {
+    const stream = new StreamFile({
+      url: 'http://example.invalid/',
+      backend: TestBackend
+    });
+    return readAll(stream).then(() => {
+      assert.ok(created.length > 0, 'test backend was used');
+    });
+  });
+
+  it('should autoselect registered backends by supported()', function() {
+    StreamFile.registerBackend(TestBackend, {priority: 1000});
+    const stream = new StreamFile({url: 'test:thing'});
+    return readAll(stream).then(() => {
+      assert.ok(created.length > 0, 'test backend was used');
+      created.length = 0;
+      const other = new StreamFile({data: data});
+      return other.load();
+    }).then(() => {
+      assert.equal(created.length, 0, 'not used when unsupported');
+    });
+  });
+
+  it('should respect priority against built-in backends', function() {
+    StreamFile.registerBackend(TestBackend, {priority: 0});
+    const stream = new StreamFile({url: 'data:,hello'});
+    return stream.load().then(() => {
+      assert.equal(created.length, 0, 'built-in memory backend wins');
+      assert.ok(StreamFile.unregisterBackend(TestBackend));
+      assert.ok(!StreamFile.unregisterBackend(TestBackend));
+    });
+  });
+});
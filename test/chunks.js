@@ -0,0 +1,131 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const {useRangeServer, testData} = require('./util/range-server.js');
+
+describe('StreamFile async iteration', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  function concat(buffers) {
+    return Buffer.concat(buffers.map((buffer) => Buffer.from(buffer)));
+  }
+
+  it('should iterate the whole file with for-await', async function() {
+    const stream = new StreamFile({url: server.url});
+    await stream.load();
+    const buffers = [];
+    for await (const buffer of stream) {
+      assert.ok(buffer instanceof ArrayBuffer);
+      assert.ok(buffer.byteLength <= 65536);
+      buffers.push(buffer);
+    }
+    assert.ok(stream.eof);
+    assert.ok(concat(buffers).equals(data));
+  });
+
+  it('should load the stream first if needed', function() {
+    const stream = new StreamFile({data: new Uint8Array(data)});
+    const iter = stream.chunks({size: 1000});
+    return iter.next().then((result) => {
+      assert.ok(stream.loaded);
+      assert.ok(!result.done);
+      assert.equal(result.value.byteLength, 1000);
+      assert.equal(stream.offset, 1000);
+    });
+  });
+
+  it('should iterate an explicit range', function() {
+    const stream = new StreamFile({url: server.url});
+    const iter = stream.chunks({size: 30000, start: 100000, end: 170000});
+    const sizes = [];
+    const buffers = [];
+    function loop() {
+      return iter.next().then((result) => {
+        if (!result.done) {
+          sizes.push(result.value.byteLength);
+          buffers.push(result.value);
+          return loop();
+        }
+        return undefined;
+      });
+    }
+    return stream.load().then(loop).then(() => {
+      assert.deepEqual(sizes, [30000, 30000, 10000]);
+      assert.ok(concat(buffers).equals(data.slice(100000, 170000)));
+      assert.equal(stream.offset, 170000);
+    });
+  });
+
+  it('should stop at end of file when end is past it', function() {
+    const stream = new StreamFile({data: new Uint8Array(data)});
+    const buffers = [];
+    const iter = stream.chunks({start: 290000, end: 400000});
+    function loop() {
+      return iter.next().then((result) => {
+        if (!result.done) {
+          buffers.push(result.value);
+          return loop();
+        }
+        return undefined;
+      });
+    }
+    return loop().then(() => {
+      assert.ok(concat(buffers).equals(data.slice(290000)));
+    });
+  });
+
+  it('should cancel readahead when breaking out early', async function() {
+    server.failures.push({stall: 70000});
+    const stream = new StreamFile({url: server.url});
+    await stream.load();
+    for await (const buffer of stream.chunks({size: 1000})) {
+      assert.equal(buffer.byteLength, 1000);
+      break;
+    }
+    assert.ok(!stream.buffering);
+    assert.equal(stream.offset, 1000);
+    assert.equal(stream._downloads.length, 0, 'download canceled');
+
+    // The stream remains usable afterwards.
+    const buffer = await stream.read(1000);
+    assert.ok(Buffer.from(buffer).equals(data.slice(1000, 2000)));
+  });
+
+  it('should leave pin() downloads and retries alone when breaking out early', async function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536, retries: 1, retryDelay: 50});
+    await stream.load();
+    const events = [];
+    stream.on('abort', () => events.push('abort'));
+    server.failures.push({status: 503});
+    const pinned = stream.pin(250000, 260000);
+    for await (const buffer of stream.chunks({size: 1000})) {
+      assert.equal(buffer.byteLength, 1000);
+      break;
+    }
+    await pinned;
+    assert.deepEqual(events, []);
+    assert.deepEqual(stream.getBufferedRanges().filter((range) => range[2]), [[250000, 260000, true]]);
+  });
+
+  it('should end iteration with an AbortError from the signal', function() {
+    server.failures.push({stall: 1000});
+    const controller = new AbortController();
+    const stream = new StreamFile({url: server.url});
+    const iter = stream.chunks({size: 5000, signal: controller.signal});
+    return stream.load().then(() => {
+      setTimeout(() => controller.abort(), 20);
+      return iter.next();
+    }).then(() => {
+      assert.fail('should have been aborted');
+    }, (err) => {
+      assert.equal(err.name, 'AbortError');
+      return iter.next();
+    }).then((result) => {
+      assert.ok(result.done);
+      stream.abort();
+    });
+  });
+});
@@ -0,0 +1,139 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const {useRangeServer, ranges, testData} = require('./util/range-server.js');
+const {delay} = require('./util/helpers.js');
+
+describe('StreamFile concurrency', function() {
+  const data = testData(1000000);
+  const server = useRangeServer(data);
+
+  it('should split readahead into parallel range requests', function() {
+    const stream = new StreamFile({
+      url: server.url,
+      chunkSize: 256 * 1024,
+      cacheSize: 4 * 1024 * 1024,
+      concurrency: 4
+    });
+    return stream.load().then(() => {
+      assert.deepEqual(ranges(server), ['bytes=0-262143'], 'first request is not split');
+      return stream.seek(500000);
+    }).then(() => {
+      assert.deepEqual(ranges(server).slice(1).sort(), [
+        'bytes=500000-565535',
+        'bytes=565536-631071',
+        'bytes=631072-696607',
+        'bytes=696608-762143'
+      ]);
+      return stream.read(300000);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(500000, 800000)));
+    });
+  });
+
+  it('should serve reads in order when later parts arrive first', function() {
+    const stream = new StreamFile({
+      url: server.url,
+      chunkSize: 256 * 1024,
+      cacheSize: 4 * 1024 * 1024,
+      concurrency: 4
+    });
+    return stream.load().then(() => {
+      return stream.buffer(262144);
+    }).then(() => {
+      stream.readSync(262144);
+      // Parts are requested from the back; hold up the one at the read head.
+      server.failures.push({}, {}, {}, {delay: 100});
+      return stream.read(300000);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(262144, 562144)));
+      return stream.read(1000000);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(562144)));
+      assert.ok(stream.eof);
+    });
+  });
+
+  it('should not split small windows', function() {
+    const stream = new StreamFile({
+      url: server.url,
+      chunkSize: 100000,
+      concurrency: 4
+    });
+    return stream.load().then(() => {
+      return stream.seek(500000);
+    }).then(() => {
+      assert.deepEqual(ranges(server).slice(1), ['bytes=500000-599999']);
+    });
+  });
+
+  it('should read to the end from a server ignoring Range', function() {
+    server.ignoreRange = true;
+    const stream = new StreamFile({
+      url: server.url,
+      chunkSize: 65536,
+      concurrency: 4
+    });
+    const chunks = [];
+    function readAll() {
+      return stream.read(65536).then((buffer) => {
+        if (buffer.byteLength > 0) {
+          chunks.push(Buffer.from(buffer));
+          return readAll();
+        }
+        return undefined;
+      });
+    }
+    return stream.load().then(() => {
+      assert.ok(!stream.seekable);
+      return readAll();
+    }).then(() => {
+      assert.ok(Buffer.concat(chunks).equals(data));
+      assert.ok(stream.eof);
+      assert.equal(server.requests.length, 1);
+    });
+  });
+
+  it('should recover when a part fails', function() {
+    const stream = new StreamFile({
+      url: server.url,
+      chunkSize: 256 * 1024,
+      cacheSize: 4 * 1024 * 1024,
+      concurrency: 4,
+      retries: 1,
+      retryDelay: 10
+    });
+    return stream.load().then(() => {
+      server.failures.push({status: 503});
+      return stream.seek(500000);
+    }).then(() => {
+      return stream.read(262144);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(500000, 762144)));
+    });
+  });
+
+  it('should stop a download where it runs into data cached meanwhile', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    let seeking;
+    return stream.load().then(() => {
+      server.failures.push({delay: 50});
+      seeking = stream.seek(100000);
+      return delay(10);
+    }).then(() => {
+      // Fill in part of the pending download's range, as from storage.
+      const writer = stream._cache.openWriter(120000);
+      writer.write(new Uint8Array(data.slice(120000, 130000)).buffer);
+      stream._cache.closeWriter(writer);
+      return seeking;
+    }).then(() => {
+      return stream.read(60000);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(100000, 160000)));
+      assert.deepEqual(ranges(server).slice(1), ['bytes=100000-165535', 'bytes=130000-195535']);
+      stream.abort();
+    });
+  });
+});
@@ -0,0 +1,146 @@
+"use strict";
+
+const assert = require('assert');
+
+const TinyEvents = require('../lib/events');
+const StreamFile = require('../lib/stream-file.js');
+const {useRangeServer, testData} = require('./util/range-server.js');
+
+describe('TinyEvents', function() {
+  it('should remove listeners with off()', function() {
+    const events = new TinyEvents();
+    let count = 0;
+    const handler = () => count++;
+    events.on('foo', handler);
+    events.emit('foo');
+    events.off('foo', handler);
+    events.emit('foo');
+    assert.equal(count, 1);
+  });
+
+  it('should only remove the given listener', function() {
+    const events = new TinyEvents();
+    const calls = [];
+    const a = () => calls.push('a');
+    const b = () => calls.push('b');
+    events.on('foo', a);
+    events.on('foo', b);
+    events.off('foo', a);
+    events.off('bar', b);
+    events.emit('foo');
+    assert.deepEqual(calls, ['b']);
+  });
+
+  it('should call once() listeners once', function() {
+    const events = new TinyEvents();
+    const args = [];
+    events.once('foo', (arg) => args.push(arg));
+    events.emit('foo', 1);
+    events.emit('foo', 2);
+    assert.deepEqual(args, [1]);
+  });
+
+  it('should remove once() listeners by their handler', function() {
+    const events = new TinyEvents();
+    let count = 0;
+    const handler = () => count++;
+    events.once('foo', handler);
+    events.off('foo', handler);
+    events.emit('foo');
+    assert.equal(count, 0);
+  });
+
+  it('should remove listeners when their signal aborts', function() {
+    const events = new TinyEvents();
+    const controller = new AbortController();
+    let count = 0;
+    events.on('foo', () => count++, {signal: controller.signal});
+    events.once('bar', () => count++, {signal: controller.signal});
+    events.emit('foo');
+    controller.abort();
+    events.emit('foo');
+    events.emit('bar');
+    assert.equal(count, 1);
+  });
+
+  it('should not add listeners with an aborted signal', function() {
+    const events = new TinyEvents();
+    const controller = new AbortController();
+    controller.abort();
+    let count = 0;
+    events.on('foo', () => count++, {signal: controller.signal});
+    events.emit('foo');
+    assert.equal(count, 0);
+  });
+});
+
+describe('StreamFile events', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  function record(stream, names) {
+    const events = [];
+    names.forEach((name) => {
+      stream.on(name, (arg) => events.push(arg === undefined ? name : [name, arg]));
+    });
+    return events;
+  }
+
+  it('should send loadedmetadata, progress and bufferedchange', function() {
+    const stream = new StreamFile({url: server.url});
+    const events = record(stream, ['loadedmetadata', 'progress', 'bufferedchange']);
+    return stream.load().then(() => {
+      assert.ok(events.indexOf('loadedmetadata') !== -1, 'sent loadedmetadata');
+      return stream.read(data.length);
+    }).then(() => {
+      const progress = events.filter((e) => e[0] === 'progress').map((e) => e[1]);
+      assert.ok(progress.length > 0, 'sent progress');
+      assert.deepEqual(progress[progress.length - 1], {
+        loaded: data.length,
+        total: data.length
+      });
+      assert.ok(events.indexOf('bufferedchange') !== -1, 'sent bufferedchange');
+    });
+  });
+
+  it('should send seeking, seeked and ended', function() {
+    const stream = new StreamFile({url: server.url});
+    const events = record(stream, ['seeking', 'seeked', 'ended']);
+    return stream.load().then(() => {
+      return stream.seek(290000);
+    }).then(() => {
+      assert.deepEqual(events, ['seeking', 'seeked']);
+      return stream.read(20000);
+    }).then(() => {
+      return stream.read(100);
+    }).then(() => {
+      assert.deepEqual(events, ['seeking', 'seeked', 'ended'], 'ended sent once');
+    });
+  });
+
+  it('should send error when a download fails', function() {
+    const stream = new StreamFile({url: server.url});
+    const errors = [];
+    stream.on('error', (err) => errors.push(err));
+    server.failures.push({status: 404});
+    return stream.load().then(() => {
+      assert.fail('should have failed');
+    }, (err) => {
+      assert.equal(errors.length, 1);
+      assert.strictEqual(errors[0], err);
+    });
+  });
+
+  it('should send abort only when canceling something', function() {
+    server.failures.push({stall: 1000});
+    const stream = new StreamFile({url: server.url});
+    let aborts = 0;
+    stream.on('abort', () => aborts++);
+    stream.abort();
+    assert.equal(aborts, 0, 'nothing to abort yet');
+    return stream.load().then(() => {
+      stream.abort();
+      assert.equal(aborts, 1);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+"use strict";
+
+const assert = require('assert');
+const zlib = require('zlib');
+
+const StreamFile = require('../lib/stream-file.js');
+const {useRangeServer, testData} = require('./util/range-server.js');
+const {delay} = require('./util/helpers.js');
+
+describe('StreamFile createReadStream', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  function collect(readable) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      readable.on('data', (chunk) => chunks.push(chunk));
+      readable.on('end', () => resolve(Buffer.concat(chunks)));
+      readable.on('error', reject);
+    });
+  }
+
+  it('should stream the whole file', function() {
+    const stream = new StreamFile({url: server.url});
+    return collect(stream.createReadStream()).then((buffer) => {
+      assert.ok(buffer.equals(data));
+      assert.ok(stream.eof);
+    });
+  });
+
+  it('should stream a byte range through a pipe', function() {
+    const stream = new StreamFile({data: new Uint8Array(data)});
+    const gzip = stream.createReadStream({start: 1000, end: 101000}).pipe(zlib.createGzip());
+    return collect(gzip).then((buffer) => {
+      assert.ok(zlib.gunzipSync(buffer).equals(data.slice(1000, 101000)));
+    });
+  });
+
+  it('should stop reading ahead of a paused consumer', function() {
+    const stream = new StreamFile({data: new Uint8Array(data)});
+    const readable = stream.createReadStream({highWaterMark: 1000});
+    return delay(20).then(() => {
+      // Nothing flowing yet; only the first high water mark was read.
+      assert.ok(stream.offset <= 2000, 'read ' + stream.offset + ' bytes');
+      readable.destroy();
+    });
+  });
+
+  it('should abort the download when destroyed', function() {
+    server.failures.push({stall: 1000});
+    const stream = new StreamFile({url: server.url});
+    const readable = stream.createReadStream();
+    readable.resume();
+    return delay(50).then(() => {
+      assert.ok(stream.buffering, 'waiting on the stalled download');
+      readable.destroy();
+      return new Promise((resolve) => readable.on('close', resolve));
+    }).then(() => {
+      assert.ok(!stream.buffering);
+      assert.equal(stream._downloads.length, 0, 'download canceled');
+    });
+  });
+
+  it('should leave the readahead download alone after ending', function() {
+    server.failures.push({stall: 10000});
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    const events = [];
+    stream.on('abort', () => events.push('abort'));
+    const readable = stream.createReadStream({start: 1000, end: 5000});
+    const closed = new Promise((resolve) => readable.on('close', resolve));
+    return collect(readable).then((buffer) => {
+      assert.ok(buffer.equals(data.slice(1000, 5000)));
+      return closed;
+    }).then(() => {
+      assert.deepEqual(events, []);
+      assert.equal(stream._downloads.length, 1, 'readahead still running');
+      stream.abort();
+    });
+  });
+
+  it('should leave pin() downloads alone when destroyed', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    const events = [];
+    stream.on('abort', () => events.push('abort'));
+    let pinned;
+    return stream.load().then(() => {
+      server.failures.push({delay: 50});
+      pinned = stream.pin(250000, 260000);
+      const readable = stream.createReadStream();
+      readable.once('data', () => readable.destroy());
+      return new Promise((resolve) => readable.on('close', resolve));
+    }).then(() => {
+      return pinned;
+    }).then(() => {
+      assert.deepEqual(events, []);
+      assert.deepEqual(stream.getBufferedRanges().filter((range) => range[2]), [[250000, 260000, true]]);
+    });
+  });
+
+  it('should emit network errors as error events', function() {
+    server.failures.push({status: 404});
+    const stream = new StreamFile({url: server.url});
+    return collect(stream.createReadStream()).then(() => {
+      assert.fail('should have failed');
+    }, (err) => {
+      assert.equal(err.status, 404);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const {useRangeServer, ranges, testData} = require('./util/range-server.js');
+
+describe('StreamFile pinned ranges', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  it('should download a missing range without moving the read head', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      return stream.pin(200000, 250000);
+    }).then(() => {
+      assert.deepEqual(ranges(server), ['bytes=0-65535', 'bytes=200000-249999']);
+      assert.equal(stream.offset, 0);
+      assert.deepEqual(stream.getBufferedRanges(), [[0, 65536], [200000, 250000, true]]);
+      return stream.seek(200000);
+    }).then(() => {
+      assert.ok(Buffer.from(stream.readSync(50000)).equals(data.slice(200000, 250000)));
+      stream.abort();
+    });
+  });
+
+  it('should keep pinned data from being evicted', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      return stream.pin(0, 1000);
+    }).then(() => {
+      assert.equal(server.requests.length, 1, 'already cached');
+      return stream.read(200000);
+    }).then(() => {
+      assert.deepEqual(stream.getBufferedRanges()[0], [0, 1000, true]);
+      return stream.seek(0);
+    }).then(() => {
+      assert.ok(stream.bytesAvailable() >= 1000);
+      assert.ok(Buffer.from(stream.readSync(1000)).equals(data.slice(0, 1000)));
+      stream.abort();
+    });
+  });
+
+  it('should let data be evicted again after unpinning', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      return stream.pin(0, 1000);
+    }).then(() => {
+      return stream.read(200000);
+    }).then(() => {
+      stream.unpin();
+      const buffered = stream.getBufferedRanges();
+      assert.ok(buffered[0][0] > 0, 'evicted');
+      buffered.forEach((range) => assert.ok(!range[2]));
+      stream.abort();
+    });
+  });
+
+  it('should count pins against their own budget', function() {
+    const stream = new StreamFile({url: server.url, pinnedSize: 1000});
+    return stream.load().then(() => {
+      return stream.pin(0, 600);
+    }).then(() => {
+      return stream.pin(300, 1200);
+    }).then(() => {
+      assert.fail('should have thrown');
+    }, (err) => {
+      assert.equal(err.message, 'pinned size exceeded');
+      return stream.pin(500, 1000);
+    }).then(() => {
+      assert.deepEqual(stream._cache.pins, [[0, 1000]]);
+    });
+  });
+
+  it('should keep downloading pinned data through a seek', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      server.failures.push({delay: 50});
+      const pinned = stream.pin(250000, 260000);
+      return stream.seek(100000).then(() => pinned);
+    }).then(() => {
+      assert.ok(ranges(server).indexOf('bytes=250000-259999') !== -1);
+      assert.deepEqual(stream.getBufferedRanges().filter((range) => range[2]), [[250000, 260000, true]]);
+      stream.abort();
+    });
+  });
+
+  it('should need the stream to be loaded', function() {
+    const stream = new StreamFile({url: server.url});
+    return stream.pin(0, 100).then(() => {
+      assert.fail('should have thrown');
+    }, (err) => {
+      assert.equal(err.message, 'invalid state');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const {useRangeServer, ranges, testData} = require('./util/range-server.js');
+const {bytes, delay} = require('./util/helpers.js');
+
+describe('StreamFile positional reads', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  it('should read without moving the read head', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      return stream.readAt(200000, 1000);
+    }).then((buffer) => {
+      assert.ok(bytes(buffer).equals(data.slice(200000, 201000)));
+      assert.deepEqual(ranges(server), ['bytes=0-65535', 'bytes=200000-200999']);
+      assert.equal(stream.offset, 0);
+      assert.ok(!stream.eof);
+      return stream.read(1000);
+    }).then((buffer) => {
+      assert.ok(bytes(buffer).equals(data.slice(0, 1000)));
+    });
+  });
+
+  it('should serve cached data without a request', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      return stream.readAt(1000, 5000);
+    }).then((buffer) => {
+      assert.ok(bytes(buffer).equals(data.slice(1000, 6000)));
+      assert.equal(server.requests.length, 1);
+    });
+  });
+
+  it('should run several reads at once alongside read()', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      return Promise.all([
+        stream.readAt(250000, 2000),
+        stream.readAt(100000, 3000),
+        stream.read(100000),
+        stream.readAt(101000, 4000)
+      ]);
+    }).then((results) => {
+      assert.ok(bytes(results[0]).equals(data.slice(250000, 252000)));
+      assert.ok(bytes(results[1]).equals(data.slice(100000, 103000)));
+      assert.ok(bytes(results[2]).equals(data.slice(0, 100000)));
+      assert.ok(bytes(results[3]).equals(data.slice(101000, 105000)));
+      assert.equal(stream.offset, 100000);
+      assert.ok(ranges(server).indexOf('bytes=250000-251999') !== -1);
+      assert.ok(ranges(server).indexOf('bytes=100000-102999') !== -1);
+    });
+  });
+
+  it('should keep its download running through a seek', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      server.failures.push({delay: 50});
+      const reading = stream.readAt(280000, 1000);
+      return stream.seek(150000).then(() => reading);
+    }).then((buffer) => {
+      assert.ok(bytes(buffer).equals(data.slice(280000, 281000)));
+      assert.equal(stream.offset, 150000);
+    });
+  });
+
+  it('should stop at end of file', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      return stream.readAt(299000, 5000);
+    }).then((buffer) => {
+      assert.equal(buffer.byteLength, 1000);
+      assert.ok(bytes(buffer).equals(data.slice(299000)));
+      return stream.readAt(300000, 10);
+    }).then((buffer) => {
+      assert.equal(buffer.byteLength, 0);
+      assert.ok(!stream.eof);
+    });
+  });
+
+  it('should read data behind the read head that was evicted', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    const dest = new Uint8Array(1000);
+    return stream.load().then(() => {
+      return stream.read(150000);
+    }).then(() => {
+      // Let readahead write past the read head, running gc.
+      return delay(20);
+    }).then(() => {
+      assert.ok(stream.getBufferedRanges()[0][0] > 0, 'start evicted');
+      return stream.readBytesAt(0, dest);
+    }).then((nbytes) => {
+      assert.equal(nbytes, 1000);
+      assert.ok(Buffer.from(dest).equals(data.slice(0, 1000)));
+      assert.equal(stream.offset, 150000);
+    });
+  });
+
+  it('should reject with an AbortError from the signal', function() {
+    const controller = new AbortController();
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    return stream.load().then(() => {
+      server.failures.push({delay: 100});
+      setTimeout(() => controller.abort(), 10);
+      return stream.readAt(200000, 1000, {signal: controller.signal});
+    }).then(() => {
+      assert.fail('should have been aborted');
+    }, (err) => {
+      assert.equal(err.name, 'AbortError');
+      assert.equal(stream._cache.holds.length, 0, 'hold released');
+      stream.abort();
+    });
+  });
+
+  it('should need the stream to be loaded', function() {
+    const stream = new StreamFile({url: server.url});
+    return stream.readAt(0, 100).then(() => {
+      assert.fail('should have thrown');
+    }, (err) => {
+      assert.equal(err.message, 'invalid state');
+    });
+  });
+});
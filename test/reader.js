@@ -0,0 +1,209 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const {useRangeServer, ranges, testData} = require('./util/range-server.js');
+const {bytes, delay} = require('./util/helpers.js');
+
+describe('StreamFile readers', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  it('should read independently of the read head', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    let reader;
+    return stream.load().then(() => {
+      reader = stream.createReader({offset: 200000});
+      assert.equal(reader.offset, 200000);
+      return reader.read(1000);
+    }).then((buffer) => {
+      assert.ok(bytes(buffer).equals(data.slice(200000, 201000)));
+      assert.equal(reader.offset, 201000);
+      assert.equal(stream.offset, 0);
+      return stream.read(1000);
+    }).then((buffer) => {
+      assert.ok(bytes(buffer).equals(data.slice(0, 1000)));
+      reader.close();
+      stream.abort();
+    });
+  });
+
+  it('should share downloads between readers at different rates', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    let fast, slow;
+    return stream.load().then(() => {
+      fast = stream.createReader();
+      slow = stream.createReader();
+      return Promise.all([fast.read(60000), slow.read(10000)]);
+    }).then((results) => {
+      assert.ok(bytes(results[0]).equals(data.slice(0, 60000)));
+      assert.ok(bytes(results[1]).equals(data.slice(0, 10000)));
+      return Promise.all([fast.read(60000), slow.read(10000)]);
+    }).then((results) => {
+      assert.ok(bytes(results[0]).equals(data.slice(60000, 120000)));
+      assert.ok(bytes(results[1]).equals(data.slice(10000, 20000)));
+      const requested = ranges(server);
+      requested.forEach((range, i) => {
+        assert.equal(requested.indexOf(range), i, 'no duplicate ' + range);
+      });
+      fast.close();
+      slow.close();
+      stream.abort();
+    });
+  });
+
+  it('should read ahead of the furthest-behind reader', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    let ahead, behind;
+    return stream.load().then(() => {
+      behind = stream.createReader({offset: 100000});
+      ahead = stream.createReader({offset: 200000});
+      return delay(20);
+    }).then(() => {
+      assert.deepEqual(ranges(server), ['bytes=0-65535', 'bytes=100000-165535']);
+      assert.equal(behind.bytesAvailable(), 65536);
+      assert.equal(ahead.bytesAvailable(), 0);
+      behind.readSync(65536);
+      return delay(20);
+    }).then(() => {
+      assert.deepEqual(ranges(server).slice(2), ['bytes=165536-231071']);
+      assert.ok(ahead.bytesAvailable() > 0);
+      ahead.close();
+      behind.close();
+      stream.abort();
+    });
+  });
+
+  it('should protect each reader\'s window from eviction', function() {
+    const stream = new StreamFile({
+      url: server.url,
+      chunkSize: 65536,
+      cacheSize: 1,
+      cacheProtectBehind: 1000,
+      cacheProtectAhead: 1000
+    });
+    let reader;
+    return stream.load().then(() => {
+      reader = stream.createReader({offset: 5000});
+      return stream.read(200000);
+    }).then(() => {
+      return delay(20);
+    }).then(() => {
+      assert.ok(reader.bytesAvailable(1000) === 1000, 'kept around reader');
+      const buffered = stream.getBufferedRanges();
+      assert.ok(buffered[0][0] <= 4000 && buffered[0][1] >= 6000);
+      reader.close();
+      return stream.read(1000);
+    }).then(() => {
+      return delay(20);
+    }).then(() => {
+      assert.ok(stream.getBufferedRanges()[0][0] > 6000, 'evicted after close');
+      stream.abort();
+    });
+  });
+
+  it('should seek independently', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    let a, b;
+    return stream.load().then(() => {
+      a = stream.createReader();
+      b = stream.createReader();
+      return a.seek(250000);
+    }).then(() => {
+      assert.equal(a.offset, 250000);
+      assert.equal(b.offset, 0);
+      return Promise.all([a.read(50000), b.read(1000)]);
+    }).then((results) => {
+      assert.ok(bytes(results[0]).equals(data.slice(250000)));
+      assert.ok(bytes(results[1]).equals(data.slice(0, 1000)));
+      assert.ok(a.eof);
+      assert.ok(!b.eof);
+      return a.seek(300001).then(() => {
+        assert.fail('should have thrown');
+      }, (err) => {
+        assert.equal(err.message, 'seek past end of file');
+      });
+    }).then(() => {
+      a.close();
+      b.close();
+      stream.abort();
+    });
+  });
+
+  it('should fill ranges evicted between the main head and a reader', function() {
+    const stream = new StreamFile({
+      url: server.url,
+      chunkSize: 65536,
+      cacheSize: 0,
+      cacheProtectAhead: 1000
+    });
+    let reader;
+    return stream.load().then(() => {
+      reader = stream.createReader({offset: 150000});
+      return reader.read(1000);
+    }).then(() => {
+      return delay(20);
+    }).then(() => {
+      // Reading on from the main head evicts what the reader left
+      // at the end of the cached data.
+      reader.close();
+      return stream.read(100000);
+    }).then((buffer) => {
+      assert.ok(bytes(buffer).equals(data.slice(0, 100000)));
+      reader = stream.createReader({offset: 250000});
+      return reader.read(1000);
+    }).then((buffer) => {
+      assert.ok(bytes(buffer).equals(data.slice(250000, 251000)));
+      // The main head's download runs over the evicted range,
+      // up to the reader's data.
+      return stream.seek(190000);
+    }).then(() => {
+      return stream.read(60000);
+    }).then((buffer) => {
+      assert.ok(bytes(buffer).equals(data.slice(190000, 250000)));
+      reader.close();
+      stream.abort();
+    });
+  });
+
+  it('should refuse i/o after closing', function() {
+    const stream = new StreamFile({url: server.url});
+    return stream.load().then(() => {
+      const reader = stream.createReader();
+      reader.close();
+      assert.equal(stream._cache.cursors.length, 0);
+      assert.throws(() => reader.readSync(10), /invalid state/);
+      return reader.read(10).then(() => {
+        assert.fail('should have thrown');
+      }, (err) => {
+        assert.equal(err.message, 'invalid state');
+        stream.abort();
+      });
+    });
+  });
+
+  it('should reject buffering with an already-aborted signal', function() {
+    const controller = new AbortController();
+    controller.abort();
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    let reader;
+    return stream.load().then(() => {
+      reader = stream.createReader({offset: 200000});
+      return reader.buffer(1000, {signal: controller.signal});
+    }).then(() => {
+      assert.fail('should have been aborted');
+    }, (err) => {
+      assert.equal(err.name, 'AbortError');
+      assert.ok(!reader.buffering);
+      assert.equal(reader.bytesAvailable(), 0);
+      reader.close();
+      stream.abort();
+    });
+  });
+
+  it('should need the stream to be loaded', function() {
+    const stream = new StreamFile({url: server.url});
+    assert.throws(() => stream.createReader(), /invalid state/);
+  });
+});
@@ -0,0 +1,87 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const FetchBackend = require('../lib/backend/fetch-backend.js');
+const NodeHTTPBackend = require('../lib/backend/node-http-backend.js');
+const {useRangeServer, testData} = require('./util/range-server.js');
+
+describe('StreamFile request options', function() {
+  const data = testData(100000);
+  const server = useRangeServer(data);
+
+  [NodeHTTPBackend, FetchBackend].forEach((backendClass) => {
+    describe('with ' + backendClass.name, function() {
+      it('should send static request headers', function() {
+        const stream = new StreamFile({
+          url: server.url,
+          backend: backendClass,
+          requestHeaders: {
+            'Authorization': 'Bearer xyzzy'
+          }
+        });
+        return stream.load().then(() => {
+          const headers = server.requests[0].headers;
+          assert.equal(headers['authorization'], 'Bearer xyzzy');
+          assert.equal(headers['range'], 'bytes=0-1048575');
+        });
+      });
+
+      it('should run beforeRequest for every chunk request', function() {
+        const seen = [];
+        const stream = new StreamFile({
+          url: server.url,
+          backend: backendClass,
+          chunkSize: 65536,
+          requestHeaders: {
+            'X-Static': 'yes'
+          },
+          beforeRequest: (info) => {
+            seen.push({offset: info.offset, length: info.length});
+            // Async hooks can eg refresh a token first.
+            return Promise.resolve({
+              url: info.url + '?token=' + seen.length,
+              headers: Object.assign({}, info.headers, {
+                'X-Chunk': String(info.offset)
+              })
+            });
+          }
+        });
+        return stream.load().then(() => {
+          return stream.seek(70000);
+        }).then(() => {
+          return stream.read(1000);
+        }).then((buffer) => {
+          assert.ok(Buffer.from(buffer).equals(data.slice(70000, 71000)));
+          assert.deepEqual(seen, [
+            {offset: 0, length: 65536},
+            {offset: 70000, length: 30000}
+          ]);
+          const requests = server.requests;
+          assert.equal(requests.length, 2);
+          assert.equal(requests[1].url, '/file.bin?token=2');
+          assert.equal(requests[1].headers['x-static'], 'yes');
+          assert.equal(requests[1].headers['x-chunk'], '70000');
+          assert.equal(requests[1].headers['range'], 'bytes=70000-99999');
+        });
+      });
+
+      it('should fail the request if beforeRequest throws', function() {
+        const stream = new StreamFile({
+          url: server.url,
+          backend: backendClass,
+          beforeRequest: () => {
+            throw new Error('no token');
+          }
+        });
+        return stream.load().then(() => {
+          assert.fail('should not load');
+        }, (err) => {
+          assert.equal(err.message, 'no token');
+          assert.equal(server.requests.length, 0);
+        });
+      });
+    });
+  });
+});
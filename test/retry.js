@@ -0,0 +1,104 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const {useRangeServer, testData} = require('./util/range-server.js');
+
+describe('StreamFile retries', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  it('should fail without retries by default', function() {
+    server.failures.push({status: 503});
+    const stream = new StreamFile({url: server.url});
+    return stream.load().then(() => {
+      assert.fail('should not load');
+    }, (err) => {
+      assert.equal(err.message, 'HTTP error 503');
+      assert.equal(err.status, 503);
+      assert.ok(!stream.loading);
+    });
+  });
+
+  it('should retry retryable HTTP errors on load', function() {
+    server.failures.push({status: 503}, {status: 429, retryAfter: '0'});
+    const stream = new StreamFile({
+      url: server.url,
+      retries: 2,
+      retryDelay: 10
+    });
+    return stream.load().then(() => {
+      assert.ok(stream.loaded);
+      assert.equal(stream.length, data.length);
+      assert.equal(server.requests.length, 3);
+    });
+  });
+
+  it('should reject once the retry budget is used up', function() {
+    server.failures.push({status: 502}, {status: 502}, {status: 502});
+    const stream = new StreamFile({
+      url: server.url,
+      retries: 2,
+      retryDelay: 10
+    });
+    return stream.load().then(() => {
+      assert.fail('should not load');
+    }, (err) => {
+      assert.equal(err.status, 502);
+      assert.equal(server.requests.length, 3);
+    });
+  });
+
+  it('should not retry other HTTP errors', function() {
+    server.failures.push({status: 404});
+    const stream = new StreamFile({
+      url: server.url,
+      retries: 2,
+      retryDelay: 10
+    });
+    return stream.load().then(() => {
+      assert.fail('should not load');
+    }, (err) => {
+      assert.equal(err.status, 404);
+      assert.equal(server.requests.length, 1);
+    });
+  });
+
+  it('should resume a dropped download from the last received byte', function() {
+    server.failures.push({truncate: 50000});
+    const stream = new StreamFile({
+      url: server.url,
+      chunkSize: 200000,
+      retries: 2,
+      retryDelay: 10
+    });
+    return stream.load().then(() => {
+      return stream.read(150000);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(0, 150000)), 'got expected bytes');
+      assert.equal(server.requests.length, 2);
+      assert.equal(server.requests[1].headers.range, 'bytes=50000-249999');
+    });
+  });
+
+  it('should cancel a pending retry on abort', function() {
+    server.failures.push({status: 503});
+    const stream = new StreamFile({
+      url: server.url,
+      retries: 2,
+      retryDelay: 60000
+    });
+    const promise = stream.load();
+    setTimeout(() => stream.abort(), 50);
+    return promise.then(() => {
+      assert.fail('should not load');
+    }, (err) => {
+      assert.equal(err.name, 'AbortError');
+      if (typeof DOMException === 'function') {
+        assert.ok(err instanceof DOMException, 'same error type as other aborts');
+      }
+      assert.equal(server.requests.length, 1);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const {useRangeServer, testData} = require('./util/range-server.js');
+const {delay} = require('./util/helpers.js');
+
+describe('StreamFile seek policy', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  it('should keep the download for a short seek forward', function() {
+    server.failures.push({stall: 1000});
+    const stream = new StreamFile({url: server.url, chunkSize: 100000});
+    return stream.load().then(() => delay(20)).then(() => {
+      return stream.seek(5000);
+    }).then(() => {
+      assert.equal(server.requests.length, 1, 'no new request');
+      assert.equal(stream._downloads.length, 1, 'download still active');
+      assert.equal(stream.offset, 5000);
+      stream.abort();
+    });
+  });
+
+  it('should restart the download for a seek past the threshold', function() {
+    server.failures.push({stall: 1000});
+    const stream = new StreamFile({url: server.url, chunkSize: 100000, seekThreshold: 10000});
+    return stream.load().then(() => delay(20)).then(() => {
+      return stream.seek(20000);
+    }).then(() => {
+      assert.equal(server.requests.length, 2);
+      assert.equal(server.requests[1].headers['range'], 'bytes=20000-119999');
+      return stream.read(1000);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(20000, 21000)));
+    });
+  });
+
+  it('should restart the download for a seek past the current request', function() {
+    server.failures.push({stall: 1000});
+    const stream = new StreamFile({url: server.url, chunkSize: 10000});
+    return stream.load().then(() => delay(20)).then(() => {
+      return stream.seek(15000);
+    }).then(() => {
+      assert.equal(server.requests.length, 2);
+      assert.equal(server.requests[1].headers['range'], 'bytes=15000-24999');
+    });
+  });
+
+  it('should keep the download for a seek back into the cache', function() {
+    server.failures.push({stall: 1000});
+    const stream = new StreamFile({url: server.url, chunkSize: 100000});
+    return stream.load().then(() => delay(20)).then(() => {
+      return stream.seek(50000);
+    }).then(() => {
+      assert.equal(server.requests.length, 1, 'short seek kept the download');
+      return stream.seek(500);
+    }).then(() => {
+      assert.equal(server.requests.length, 1, 'seek into cache kept the download');
+      assert.equal(stream.bytesAvailable(), 500);
+      assert.ok(Buffer.from(stream.readSync(500)).equals(data.slice(500, 1000)));
+      stream.abort();
+    });
+  });
+
+  it('should read through after a short seek forward', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 100000});
+    return stream.load().then(() => {
+      return stream.seek(3000);
+    }).then(() => {
+      return stream.read(50000);
+    }).then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data.slice(3000, 53000)));
+    });
+  });
+
+  it('should fill the gap after reading past cached data', function() {
+    const stream = new StreamFile({
+      url: server.url,
+      chunkSize: 10000,
+      cacheSize: 1024 * 1024
+    });
+    return stream.load().then(() => {
+      return stream.buffer(10000);
+    }).then(() => {
+      server.failures.push({stall: 1000});
+      return stream.seek(50000);
+    }).then(() => delay(20)).then(() => {
+      return stream.seek(0);
+    }).then(() => {
+      assert.equal(stream._downloads.length, 1, 'stalled download kept for seek into cache');
+      const count = server.requests.length;
+      return stream.read(15000).then((buffer) => {
+        assert.ok(Buffer.from(buffer).equals(data.slice(0, 15000)));
+        assert.equal(server.requests[count].headers['range'], 'bytes=10000-19999');
+      });
+    });
+  });
+
+  it('should keep data within cacheProtectBehind for seeking back', function() {
+    function readAndSeekBack(options) {
+      const stream = new StreamFile(Object.assign({url: server.url, chunkSize: 10000}, options));
+      let count = 0;
+      return stream.load().then(() => {
+        return stream.read(30000);
+      }).then(() => delay(20)).then(() => {
+        // Readahead has written past the read head, running gc.
+        count = server.requests.length;
+        return stream.seek(15000);
+      }).then(() => {
+        stream.abort();
+        return server.requests.length - count;
+      });
+    }
+    return readAndSeekBack({cacheProtectBehind: 20000}).then((requests) => {
+      assert.equal(requests, 0, 'seek back into protected data');
+      return readAndSeekBack({});
+    }).then((requests) => {
+      assert.equal(requests, 1, 'data behind the read head evicted');
+    });
+  });
+
+  it('should take an eviction policy by name', function() {
+    const stream = new StreamFile({url: server.url, cachePolicy: 'distance'});
+    assert.ok(stream._cache.policy instanceof StreamFile.EvictionPolicy.DistancePolicy);
+  });
+});
@@ -0,0 +1,105 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const BandwidthEstimator = require('../lib/stats/bandwidth-estimator.js');
+const {useRangeServer, testData} = require('./util/range-server.js');
+
+describe('BandwidthEstimator', function() {
+  it('should start unmeasured', function() {
+    const estimator = new BandwidthEstimator();
+    assert.equal(estimator.current, 0);
+    assert.equal(estimator.average, 0);
+  });
+
+  it('should average over transfer time', function() {
+    const estimator = new BandwidthEstimator();
+    estimator.sample(1000, 1000);
+    estimator.sample(3000, 1000);
+    assert.equal(estimator.average, 2000);
+    assert.equal(estimator.totalBytes, 4000);
+  });
+
+  it('should follow recent samples', function() {
+    const estimator = new BandwidthEstimator({halfLife: 1000});
+    estimator.sample(1000, 1000);
+    assert.ok(Math.abs(estimator.current - 1000) < 1, 'first sample taken as is');
+    for (let i = 0; i < 10; i++) {
+      estimator.sample(10000, 1000);
+    }
+    assert.ok(estimator.current > 9900, 'moved to the new rate: ' + estimator.current);
+    assert.ok(estimator.average < estimator.current, 'average lags behind');
+  });
+});
+
+describe('StreamFile getStats', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  it('should start out empty', function() {
+    const stream = new StreamFile({url: server.url});
+    const stats = stream.getStats();
+    assert.equal(stats.bytesDownloaded, 0);
+    assert.equal(stats.requestCount, 0);
+    assert.equal(stats.bandwidth, 0);
+    assert.equal(stats.timeToFirstByte, -1);
+    assert.deepEqual(stats.requests, []);
+  });
+
+  it('should count requests and bytes', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 100000});
+    return stream.load().then(() => {
+      return stream.read(200000);
+    }).then(() => {
+      const stats = stream.getStats();
+      // Reading may have started another request as readahead.
+      assert.ok(stats.requestCount >= 2);
+      assert.ok(stats.bytesDownloaded >= 200000);
+      assert.ok(stats.bandwidth > 0, 'measured bandwidth');
+      assert.ok(stats.averageBandwidth > 0, 'measured average bandwidth');
+      assert.ok(stats.timeToFirstByte >= 0, 'measured time to first byte');
+      assert.ok(stats.bufferingCount >= 1, 'counted buffering');
+
+      const request = stats.requests[1];
+      assert.equal(request.url, server.url);
+      assert.equal(request.start, 100000);
+      assert.equal(request.end, 200000);
+      assert.equal(request.status, 206);
+      assert.equal(request.bytes, 100000);
+      assert.ok(request.timeToFirstByte >= 0);
+      assert.ok(request.duration >= request.timeToFirstByte);
+      assert.strictEqual(request.error, null);
+    });
+  });
+
+  it('should record failed and aborted requests', function() {
+    server.failures.push({status: 503}, {stall: 1000});
+    const stream = new StreamFile({url: server.url, retries: 1, retryDelay: 10});
+    return stream.load().then(() => {
+      stream.abort();
+      const requests = stream.getStats().requests;
+      assert.equal(requests.length, 2);
+      assert.equal(requests[0].status, 503);
+      assert.equal(requests[0].error, 'HTTP error 503');
+      assert.equal(requests[1].status, 206);
+      assert.equal(requests[1].error, 'aborted');
+      assert.equal(requests[1].bytes, 1000);
+    });
+  });
+
+  it('should measure time spent buffering', function() {
+    server.failures.push({delay: 50});
+    const stream = new StreamFile({url: server.url, chunkSize: 100000});
+    return stream.load().then(() => {
+      return stream.read(100000);
+    }).then(() => {
+      server.failures.push({delay: 50});
+      return stream.read(100000);
+    }).then(() => {
+      const stats = stream.getStats();
+      assert.ok(stats.bufferingCount >= 1);
+      assert.ok(stats.bufferingTime >= 40, 'buffered for ' + stats.bufferingTime + 'ms');
+    });
+  });
+});
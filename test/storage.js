@@ -0,0 +1,254 @@
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const StreamFile = require('../lib/stream-file.js');
+const PersistentCache = require('../lib/storage');
+const {useRangeServer, testData} = require('./util/range-server.js');
+const {bytes, delay} = require('./util/helpers.js');
+
+function adapterTests(createAdapter) {
+  let adapter;
+
+  beforeEach(function() {
+    adapter = createAdapter();
+  });
+
+  it('should return null when nothing is stored', function() {
+    return adapter.get('a', 0, 100).then((buffer) => {
+      assert.strictEqual(buffer, null);
+    });
+  });
+
+  it('should return stored bytes up to end or the end of the range', function() {
+    const data = testData(1000);
+    return adapter.put('a', 500, new Uint8Array(data).buffer).then(() => {
+      return adapter.get('a', 600, 700);
+    }).then((buffer) => {
+      assert.ok(bytes(buffer).equals(data.slice(100, 200)));
+      return adapter.get('a', 1400, 2000);
+    }).then((buffer) => {
+      assert.ok(bytes(buffer).equals(data.slice(900)));
+      return adapter.get('a', 1500, 2000);
+    }).then((buffer) => {
+      assert.strictEqual(buffer, null);
+      return adapter.get('b', 600, 700);
+    }).then((buffer) => {
+      assert.strictEqual(buffer, null);
+    });
+  });
+
+  it('should list and delete stored ranges', function() {
+    const buffer = new ArrayBuffer(10);
+    return adapter.put('a', 0, buffer).then(() => {
+      return adapter.put('a', 100, buffer);
+    }).then(() => {
+      return adapter.put('b c', 0, buffer);
+    }).then(() => {
+      return adapter.keys();
+    }).then((entries) => {
+      const ranges = entries.map((entry) => [entry.key, entry.start, entry.end]).sort();
+      assert.deepEqual(ranges, [['a', 0, 10], ['a', 100, 110], ['b c', 0, 10]]);
+      entries.forEach((entry) => assert.equal(typeof entry.time, 'number'));
+      return adapter.delete('a', 0);
+    }).then(() => {
+      return adapter.delete('b c');
+    }).then(() => {
+      return adapter.keys();
+    }).then((entries) => {
+      assert.deepEqual(entries.map((entry) => [entry.key, entry.start, entry.end]), [['a', 100, 110]]);
+    });
+  });
+}
+
+describe('MemoryStorage', function() {
+  adapterTests(() => new StreamFile.MemoryStorage());
+});
+
+describe('FileStorage', function() {
+  let directory;
+  adapterTests(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-file-'));
+    return new StreamFile.FileStorage({directory});
+  });
+
+  afterEach(function() {
+    fs.rmSync(directory, {recursive: true, force: true});
+  });
+});
+
+describe('PersistentCache', function() {
+  it('should key by URL and validator', function() {
+    assert.equal(PersistentCache.key('http://x/a', {'etag': '"1"'}), 'http://x/a "1"');
+    assert.equal(PersistentCache.key('http://x/a', {'last-modified': 'Mon, 19 Oct 2026 00:00:00 GMT'}),
+      'http://x/a Mon, 19 Oct 2026 00:00:00 GMT');
+    assert.strictEqual(PersistentCache.key('http://x/a', {}), null);
+  });
+
+  it('should evict least recently used ranges over quota', function() {
+    const adapter = new StreamFile.MemoryStorage();
+    const cache = new PersistentCache(adapter, {quota: 1000});
+    const buffer = new ArrayBuffer(400);
+    return cache.write('a', 0, buffer).then(() => delay(5)).then(() => {
+      return cache.write('a', 1000, buffer);
+    }).then(() => delay(5)).then(() => {
+      // Touch the first one, so the second is oldest.
+      return cache.read('a', 0, 400);
+    }).then(() => delay(5)).then(() => {
+      return cache.write('a', 2000, buffer);
+    }).then(() => {
+      return adapter.keys();
+    }).then((entries) => {
+      assert.deepEqual(entries.map((entry) => entry.start).sort(), [0, 2000]);
+    });
+  });
+
+  it('should purge other versions of the same URL', function() {
+    const adapter = new StreamFile.MemoryStorage();
+    const cache = new PersistentCache(adapter);
+    const buffer = new ArrayBuffer(10);
+    return Promise.all([
+      cache.write('http://x/a "1"', 0, buffer),
+      cache.write('http://x/a "2"', 0, buffer),
+      cache.write('http://x/ab "1"', 0, buffer)
+    ]).then(() => {
+      return cache.purge('http://x/a "2"');
+    }).then(() => {
+      return adapter.keys();
+    }).then((entries) => {
+      assert.deepEqual(entries.map((entry) => entry.key).sort(), ['http://x/a "2"', 'http://x/ab "1"']);
+    });
+  });
+
+  it('should flush queued writes, even failed ones', function() {
+    const adapter = new StreamFile.MemoryStorage();
+    const put = adapter.put;
+    adapter.put = (key, start, buffer) => {
+      return start === 0 ? Promise.reject(new Error('full')) : put.call(adapter, key, start, buffer);
+    };
+    const cache = new PersistentCache(adapter);
+    cache.write('a', 0, new ArrayBuffer(10)).catch(() => {});
+    cache.write('a', 10, new ArrayBuffer(10));
+    return cache.flush().then(() => {
+      return adapter.keys();
+    }).then((entries) => {
+      assert.deepEqual(entries.map((entry) => entry.start), [10]);
+    });
+  });
+});
+
+describe('StreamFile storage', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  beforeEach(function() {
+    server.etag = '"v1"';
+  });
+
+  function readAll(storage) {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536, storage});
+    return stream.load().then(() => {
+      return stream.read(data.length);
+    }).then((buffer) => {
+      assert.ok(bytes(buffer).equals(data));
+      // Downloads save what they got as they end, in the background.
+      stream.abort();
+      return stream._storage.flush();
+    });
+  }
+
+  it('should fill reads from storage after loading', function() {
+    const storage = new StreamFile.MemoryStorage();
+    return readAll(storage).then(() => {
+      assert.equal(server.requests.length, 5);
+      server.requests.length = 0;
+      return readAll(storage);
+    }).then(() => {
+      // Only the load request goes to the network, to check the ETag.
+      assert.equal(server.requests.length, 1);
+    });
+  });
+
+  it('should fill gaps in storage from the network', function() {
+    const storage = new StreamFile.MemoryStorage();
+    return readAll(storage).then(() => {
+      return storage.keys();
+    }).then((entries) => {
+      const middle = entries.filter((entry) => entry.start === 131072)[0];
+      return storage.delete(middle.key, middle.start);
+    }).then(() => {
+      server.requests.length = 0;
+      return readAll(storage);
+    }).then(() => {
+      assert.equal(server.requests.length, 2);
+      assert.equal(server.requests[1].headers['range'], 'bytes=131072-196607');
+    });
+  });
+
+  it('should store only what is still cached when a download ends', function() {
+    const storage = new StreamFile.MemoryStorage();
+    const stream = new StreamFile({
+      url: server.url,
+      chunkSize: 200000,
+      cacheSize: 0,
+      cacheProtectBehind: 0,
+      cacheProtectAhead: 1000,
+      storage
+    });
+    let cachedStart;
+    return stream.load().then(() => {
+      return stream.read(140000);
+    }).then(() => {
+      // Evict the blocks read so far while the download runs on.
+      stream._cache.gc();
+      cachedStart = stream.getBufferedRanges()[0][0];
+      assert.ok(cachedStart > 0 && cachedStart <= 140000);
+      stream.abort();
+      return stream._storage.flush();
+    }).then(() => {
+      return storage.keys();
+    }).then((entries) => {
+      assert.equal(entries.length, 1);
+      assert.equal(entries[0].start, cachedStart);
+      assert.ok(entries[0].end >= 140000);
+    });
+  });
+
+  it('should use files on disk', function() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-file-'));
+    return readAll(new StreamFile.FileStorage({directory})).then(() => {
+      server.requests.length = 0;
+      return readAll(new StreamFile.FileStorage({directory}));
+    }).then(() => {
+      assert.equal(server.requests.length, 1);
+      fs.rmSync(directory, {recursive: true, force: true});
+    });
+  });
+
+  it('should not use data stored for another version', function() {
+    const storage = new StreamFile.MemoryStorage();
+    return readAll(storage).then(() => {
+      server.etag = '"v2"';
+      server.requests.length = 0;
+      return readAll(storage);
+    }).then(() => {
+      assert.equal(server.requests.length, 5);
+      return storage.keys();
+    }).then((entries) => {
+      entries.forEach((entry) => assert.equal(entry.key, server.url + ' "v2"'));
+    });
+  });
+
+  it('should not store anything without a validator', function() {
+    server.etag = null;
+    const storage = new StreamFile.MemoryStorage();
+    return readAll(storage).then(() => {
+      return storage.keys();
+    }).then((entries) => {
+      assert.equal(entries.length, 0);
+    });
+  });
+});
@@ -110,9 +110,36 @@ describe('Buffer CacheItem', function() {
       }
     });
   });
+  describe('#split()', function() {
+    it('should split the data and keep the use stats', function() {
+      const item = new CacheItem({start: 100, buffer: byteBuffer(16), timestamp: 5});
+      item.hits = 3;
+      const [a, b] = item.split(110);
+      assert.deepEqual([a.start, a.end, b.start, b.end], [100, 110, 110, 116]);
+      assert.deepEqual(Array.from(new Uint8Array(b.buffer)), [10, 11, 12, 13, 14, 15]);
+      assert.ok(a.next === b && b.prev === a);
+      [a, b].forEach((half) => {
+        assert.ok(!half.empty);
+        assert.equal(half.timestamp, 5);
+        assert.equal(half.hits, 3);
+      });
+      assert.throws(() => item.split(100), /invalid split/);
+      assert.throws(() => item.split(116), /invalid split/);
+    });
+  });
 });
 
 describe('String CacheItem', function() {
+  it('should store the string as bytes', function() {
+    // x-user-defined maps bytes 0x80-0xff to U+F780-U+F7FF
+    const item = new CacheItem({start: 10, string: 'a\u0000\uf7ff\uf780'});
+    assert.ok(item.buffer instanceof ArrayBuffer);
+    assert.equal(item.buffer.byteLength, 4);
+    assert.ok(!('string' in item));
+    assert.equal(item.end, 14);
+    assert.deepEqual(Array.from(new Uint8Array(item.buffer)), [0x61, 0, 0xff, 0x80]);
+  });
+
   it('should return expected size, length', function() {
     for (let [start, end, length, containsData] of segmentDataSet) {
       const buffer = stringBuffer(length);
@@ -231,7 +258,7 @@ describe('CachePool', function() {
     });
 
     it('should update sensibly on two items', function() {
-      const pool = new CachePool();
+      const pool = new CachePool({blockSize: 0});
       pool.write(byteBuffer(256));
       pool.write(byteBuffer(128));
 
@@ -252,6 +279,121 @@ describe('CachePool', function() {
     });
   });
 
+  describe('#write() blocks', function() {
+    function items(pool) {
+      const list = [];
+      for (let item = pool.head; item; item = item.next) {
+        list.push([item.start, item.end, item.empty]);
+      }
+      return list;
+    }
+
+    it('should gather small writes into one block', function() {
+      const pool = new CachePool({blockSize: 16});
+      pool.write(byteBuffer(5));
+      pool.write(byteBuffer(5));
+      pool.write(byteBuffer(6));
+      checkInvariants(pool);
+      assert.deepEqual(items(pool), [[0, 16, false], [16, 16, true]]);
+      assert.equal(pool.head.buffer.byteLength, 16, 'block preallocated');
+
+      let data = new Uint8Array(16);
+      assert.equal(pool.readBytes(data), 16);
+      assert.deepEqual(Array.from(data), [
+          0, 1, 2, 3, 4,
+          0, 1, 2, 3, 4,
+          0, 1, 2, 3, 4, 5]);
+    });
+
+    it('should start a new block when full, and store large writes as is', function() {
+      const pool = new CachePool({blockSize: 16});
+      const large = byteBuffer(20);
+      pool.write(byteBuffer(10));
+      pool.write(byteBuffer(10));
+      pool.write(large);
+      pool.write(byteBuffer(3));
+      checkInvariants(pool);
+      assert.deepEqual(items(pool), [
+        [0, 10, false],
+        [10, 20, false],
+        [20, 40, false],
+        [40, 43, false],
+        [43, 43, true]
+      ]);
+      assert.strictEqual(pool.head.next.next.buffer, large, 'not copied');
+    });
+
+    it('should fill up to the next item and keep empty ranges apart', function() {
+      const pool = new CachePool({blockSize: 16, cacheSize: Infinity});
+      const a = pool.openWriter(0);
+      const b = pool.openWriter(8);
+      b.write(byteBuffer(4));
+      a.write(byteBuffer(4));
+      a.write(byteBuffer(4));
+      checkInvariants(pool);
+      assert.deepEqual(items(pool), [[0, 8, false], [8, 12, false], [12, 12, true]]);
+    });
+
+    it('should trim the unused part of a block when the writer closes', function() {
+      const pool = new CachePool({blockSize: 16});
+      const writer = pool.openWriter(0);
+      writer.write(byteBuffer(5));
+      writer.write(byteBuffer(5));
+      assert.equal(pool.head.buffer.byteLength, 16);
+      pool.closeWriter(writer);
+      checkInvariants(pool);
+      assert.equal(pool.head.buffer.byteLength, 10);
+      assert.deepEqual(items(pool), [[0, 10, false], [10, 10, true]]);
+    });
+
+    it('should gather binary string writes into a block too', function() {
+      const pool = new CachePool({blockSize: 16});
+      pool.write(stringBuffer(5));
+      pool.write('\uf7ff\uf780');
+      checkInvariants(pool);
+      assert.deepEqual(items(pool), [[0, 7, false], [7, 7, true]]);
+
+      let data = new Uint8Array(7);
+      assert.equal(pool.readBytes(data), 7);
+      assert.deepEqual(Array.from(data), [0, 1, 2, 3, 4, 0xff, 0x80]);
+    });
+
+    it('should stamp the whole block on each write', function() {
+      const pool = new CachePool({blockSize: 16});
+      pool.write(byteBuffer(5));
+      pool.head.timestamp = 0;
+      pool.write(byteBuffer(5));
+      assert.ok(pool.head.timestamp > 0);
+    });
+  });
+
+  describe('#readBytesAt()', function() {
+    it('should read from an offset without moving the read head', function() {
+      const pool = new CachePool({blockSize: 0});
+      pool.write(byteBuffer(10));
+      pool.write(byteBuffer(10));
+      let data = new Uint8Array(8);
+      assert.equal(pool.readBytesAt(6, data), 8);
+      assert.deepEqual(Array.from(data), [6, 7, 8, 9, 0, 1, 2, 3]);
+      assert.equal(pool.readOffset, 0, 'readOffset still 0');
+      assert.equal(pool.bytesReadableAt(15), 5);
+      assert.equal(pool.readBytesAt(25, data), 0, 'nothing past the data');
+    });
+  });
+
+  describe('#peekBytesAt()', function() {
+    it('should read without counting as a use of the data', function() {
+      const pool = new CachePool({blockSize: 0});
+      pool.write(byteBuffer(10));
+      pool.head.timestamp = 0;
+      let data = new Uint8Array(4);
+      assert.equal(pool.peekBytesAt(2, data), 4);
+      assert.deepEqual(Array.from(data), [2, 3, 4, 5]);
+      assert.equal(pool.head.timestamp, 0);
+      assert.equal(pool.head.hits, 0);
+    });
+  });
+
   describe('#read()', function() {
     it('should read sensibly on one item', function() {
       const pool = new CachePool();
@@ -366,5 +508,244 @@ describe('CachePool', function() {
     });
   });
 
+  describe('#openWriter()', function() {
+    it('should fill separate ranges through separate writers', function() {
+      const pool = new CachePool();
+      const a = pool.openWriter(0);
+      const b = pool.openWriter(10);
+
+      assert.equal(a.bytesWritable(), 10, 'stops at the next writer');
+      assert.equal(b.bytesWritable(100), 100, 'open to the end');
+
+      b.write(byteBuffer(5));
+      checkInvariants(pool);
+      a.write(byteBuffer(6));
+      checkInvariants(pool);
+      a.write(byteBuffer(4));
+      checkInvariants(pool);
+
+      assert.equal(a.offset, 10, 'first writer advanced');
+      assert.equal(b.offset, 15, 'second writer advanced');
+      assert.equal(a.bytesWritable(), 0, 'first writer ran into written data');
+      assert.deepEqual(pool.ranges(), [[0, 15]], 'ranges consolidated');
+
+      let data = new Uint8Array(15);
+      assert.equal(pool.readBytes(data), 15, 'read across both ranges');
+      assert.deepEqual(Array.from(data), [
+          0, 1, 2, 3, 4, 5,
+          0, 1, 2, 3,
+          0, 1, 2, 3, 4],
+        'read expected data');
+    });
+
+    it('should release reserved space on close', function() {
+      const pool = new CachePool();
+      const a = pool.openWriter(0);
+      const b = pool.openWriter(10);
+      pool.closeWriter(b);
+      assert.equal(a.bytesWritable(100), 100, 'no longer stops at closed writer');
+    });
+  });
+
+  describe('#gc()', function() {
+    function poolWithItems(options, ranges) {
+      const pool = new CachePool(Object.assign({cacheSize: Infinity}, options));
+      ranges.forEach((range) => {
+        const writer = pool.openWriter(range[0]);
+        writer.write(byteBuffer(range[1] - range[0]));
+        pool.closeWriter(writer);
+      });
+      return pool;
+    }
+
+    function itemAt(pool, offset) {
+      return pool.head.first((item) => item.contains(offset));
+    }
+
+    it('should keep the protected window around the read head', function() {
+      const pool = poolWithItems({protectBehind: 10, protectAhead: 10},
+        [[0, 20], [40, 50], [50, 60], [80, 100]]);
+      pool.seekRead(50);
+      pool.cacheSize = 0;
+      pool.gc();
+      checkInvariants(pool);
+      assert.deepEqual(pool.ranges(), [[40, 60]]);
+    });
+
+    it('should keep the protected window around each cursor', function() {
+      const pool = poolWithItems({protectBehind: 10, protectAhead: 10},
+        [[0, 20], [40, 50], [50, 60], [80, 100]]);
+      const cursor = {offset: 90};
+      pool.addCursor(cursor);
+      pool.seekRead(50);
+      pool.cacheSize = 0;
+      pool.gc();
+      checkInvariants(pool);
+      assert.deepEqual(pool.ranges(), [[40, 60], [80, 100]]);
+      pool.removeCursor(cursor);
+      pool.gc();
+      assert.deepEqual(pool.ranges(), [[40, 60]]);
+    });
+
+    it('should keep data between the read head and a write head filling in after it', function() {
+      const pool = poolWithItems({protectAhead: 0}, [[20, 40], [70, 80]]);
+      pool.seekRead(20);
+      pool.openWriter(40);
+      pool.cacheSize = 0;
+      pool.gc();
+      checkInvariants(pool);
+      assert.deepEqual(pool.ranges(), [[20, 40]]);
+    });
+
+    it('should keep only the last bytes written by a write head elsewhere', function() {
+      const pool = poolWithItems({protectAhead: 10}, [[0, 10], [30, 40], [50, 60]]);
+      pool.seekRead(0);
+      pool.openWriter(60);
+      pool.cacheSize = 0;
+      pool.gc();
+      checkInvariants(pool);
+      assert.deepEqual(pool.ranges(), [[0, 10], [50, 60]]);
+    });
+
+    it('should merge space evicted at the end into the eof item', function() {
+      const pool = poolWithItems({protectAhead: 10}, [[0, 10], [30, 40]]);
+      pool.seekRead(0);
+      pool.cacheSize = 10;
+      pool.gc();
+      assert.deepEqual(pool.ranges(), [[0, 10]]);
+      assert.equal(pool.tail.start, 10, 'eof starts after the remaining data');
+
+      // Writing past the old end leaves a single empty range to fill across it.
+      const a = pool.openWriter(20);
+      const b = pool.openWriter(50);
+      b.write(byteBuffer(5));
+      assert.equal(a.bytesWritable(), 30, 'stops at the next writer');
+      a.write(byteBuffer(30));
+      assert.deepEqual(pool.ranges(), [[0, 10], [20, 55]]);
+    });
+
+    it('should evict the least recently used first by default', function() {
+      const pool = poolWithItems({protectAhead: 0}, [[0, 10], [20, 30], [40, 50]]);
+      pool.seekRead(100);
+      itemAt(pool, 0).timestamp = 3;
+      itemAt(pool, 20).timestamp = 1;
+      itemAt(pool, 40).timestamp = 2;
+      pool.cacheSize = 20;
+      pool.gc();
+      assert.deepEqual(pool.ranges(), [[0, 10], [40, 50]]);
+    });
+
+    it('should evict the least frequently read first with lfu', function() {
+      const pool = poolWithItems({policy: 'lfu', protectAhead: 0}, [[0, 10], [20, 30], [40, 50]]);
+      pool.readBytes(new Uint8Array(5));
+      pool.seekRead(20);
+      pool.readBytes(new Uint8Array(5));
+      pool.readBytes(new Uint8Array(5));
+      pool.seekRead(100);
+      pool.cacheSize = 10;
+      pool.gc();
+      assert.deepEqual(pool.ranges(), [[20, 30]]);
+    });
+
+    it('should evict the furthest from the read head first with distance', function() {
+      const pool = poolWithItems({policy: 'distance', protectAhead: 0}, [[0, 10], [20, 30], [90, 100]]);
+      pool.seekRead(40);
+      pool.cacheSize = 10;
+      pool.gc();
+      assert.deepEqual(pool.ranges(), [[20, 30]]);
+    });
+
+    it('should accept a custom policy object', function() {
+      const policy = {
+        rank: (item, pool) => -item.start
+      };
+      const pool = poolWithItems({policy, protectAhead: 0}, [[0, 10], [20, 30], [40, 50]]);
+      pool.seekRead(100);
+      pool.cacheSize = 20;
+      pool.gc();
+      assert.deepEqual(pool.ranges(), [[0, 10], [20, 30]]);
+    });
+
+    it('should reject unknown policy names', function() {
+      assert.throws(() => new CachePool({policy: 'fifo'}), /unknown eviction policy/);
+    });
+  });
+
+  describe('#pin() + #unpin()', function() {
+    it('should merge overlapping pins and split on unpin', function() {
+      const pool = new CachePool();
+      pool.pin(0, 10);
+      pool.pin(30, 40);
+      pool.pin(5, 20);
+      pool.pin(20, 25);
+      assert.deepEqual(pool.pins, [[0, 25], [30, 40]]);
+      pool.unpin(10, 35);
+      assert.deepEqual(pool.pins, [[0, 10], [35, 40]]);
+      pool.unpin();
+      assert.deepEqual(pool.pins, []);
+    });
+
+    it('should enforce the pinned size budget', function() {
+      const pool = new CachePool({pinnedSize: 20});
+      pool.pin(0, 15);
+      assert.throws(() => pool.pin(100, 110), /pinned size exceeded/);
+      pool.pin(10, 20);
+      assert.deepEqual(pool.pins, [[0, 20]]);
+    });
+
+    it('should keep pinned items out of gc and mark their ranges', function() {
+      const pool = new CachePool({protectAhead: 0, blockSize: 0});
+      pool.pin(5, 15);
+      const writer = pool.openWriter(0);
+      writer.write(byteBuffer(10));
+      writer.write(byteBuffer(10));
+      writer.write(byteBuffer(10));
+      pool.closeWriter(writer);
+      pool.seekRead(100);
+      pool.gc();
+      checkInvariants(pool);
+      assert.deepEqual(pool.ranges(), [[5, 15, true]]);
+    });
+
+    it('should count only the pinned part of an item as pinned', function() {
+      const pool = new CachePool({cacheSize: 20, protectAhead: 0, blockSize: 0});
+      pool.pin(40, 50);
+      const writer = pool.openWriter(0);
+      writer.write(byteBuffer(100));
+      pool.closeWriter(writer);
+      pool.seekRead(200);
+      pool.gc();
+      checkInvariants(pool);
+      // The other 90 bytes count against cacheSize, so they go.
+      assert.deepEqual(pool.ranges(), [[40, 50, true]]);
+      const data = new Uint8Array(10);
+      assert.equal(pool.readBytesAt(40, data), 10);
+      assert.deepEqual(Array.from(data), [40, 41, 42, 43, 44, 45, 46, 47, 48, 49]);
+    });
+
+    it('should keep held items out of gc until released', function() {
+      const pool = new CachePool({protectAhead: 0, blockSize: 0});
+      const writer = pool.openWriter(0);
+      writer.write(byteBuffer(10));
+      writer.write(byteBuffer(10));
+      pool.closeWriter(writer);
+      pool.seekRead(100);
+      const hold = pool.hold(12, 14);
+      pool.gc();
+      assert.deepEqual(pool.ranges(), [[10, 20]]);
+      pool.release(hold);
+      pool.gc();
+      assert.deepEqual(pool.ranges(), []);
+    });
+
+    it('should list empty gaps in a range', function() {
+      const pool = new CachePool({cacheSize: Infinity});
+      const writer = pool.openWriter(10);
+      writer.write(byteBuffer(10));
+      assert.deepEqual(pool.gaps(0, 50), [[0, 10], [20, 50]]);
+      assert.deepEqual(pool.gaps(12, 18), []);
+    });
+  });
+
 
 });
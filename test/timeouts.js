@@ -0,0 +1,156 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const NodeHTTPBackend = require('../lib/backend/node-http-backend.js');
+const {useRangeServer, testData} = require('./util/range-server.js');
+
+describe('StreamFile timeouts', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  function expectTimeout(promise) {
+    return promise.then(() => {
+      assert.fail('should have timed out');
+    }, (err) => {
+      assert.equal(err.name, 'TimeoutError');
+    });
+  }
+
+  it('should fail load() when the connect timeout passes', function() {
+    server.failures.push({delay: 500});
+    const stream = new StreamFile({
+      url: server.url,
+      connectTimeout: 50
+    });
+    return expectTimeout(stream.load()).then(() => {
+      assert.ok(!stream.loaded);
+    });
+  });
+
+  it('should retry after a connect timeout', function() {
+    server.failures.push({delay: 500});
+    const stream = new StreamFile({
+      url: server.url,
+      connectTimeout: 50,
+      retries: 1,
+      retryDelay: 10
+    });
+    return stream.load().then(() => {
+      assert.equal(server.requests.length, 2);
+      assert.equal(stream.length, data.length);
+    });
+  });
+
+  it('should time out buffer() and keep the stream usable', function() {
+    server.failures.push({stall: 1000});
+    const stream = new StreamFile({url: server.url});
+    return stream.load().then(() => {
+      return expectTimeout(stream.buffer(5000, {timeout: 50}));
+    }).then(() => {
+      assert.ok(!stream.buffering, 'not buffering after timeout');
+      assert.ok(stream.bytesAvailable() >= 1000, 'kept data already received');
+      stream.abort();
+      return stream.read(5000);
+    }).then((buffer) => {
+      assert.deepEqual(new Uint8Array(buffer), new Uint8Array(data.slice(0, 5000)));
+    });
+  });
+
+  it('should send waiting and stalled events', function() {
+    server.failures.push({stall: 1000});
+    const stream = new StreamFile({
+      url: server.url,
+      stallTimeout: 50
+    });
+    const events = [];
+    stream.on('waiting', () => events.push('waiting'));
+    stream.on('stalled', () => events.push('stalled'));
+    return stream.load().then(() => {
+      return expectTimeout(stream.buffer(5000, {timeout: 200}));
+    }).then(() => {
+      assert.deepEqual(events, ['waiting', 'stalled']);
+      stream.abort();
+    });
+  });
+
+  it('should not watch non-progressive downloads for stalls', function() {
+    // Stands in for ArrayBufferBackend, which gets nothing until the
+    // whole chunk is in.
+    class WholeChunkBackend extends NodeHTTPBackend {
+      constructor(options) {
+        super(options);
+        this.progressive = false;
+      }
+    }
+    server.failures.push({stall: 0});
+    const stream = new StreamFile({
+      url: server.url,
+      backend: WholeChunkBackend,
+      stallTimeout: 50,
+      stallReconnect: true
+    });
+    const events = [];
+    stream.on('waiting', () => events.push('waiting'));
+    stream.on('stalled', () => events.push('stalled'));
+    return stream.load().then(() => {
+      return expectTimeout(stream.buffer(5000, {timeout: 200}));
+    }).then(() => {
+      assert.deepEqual(events, ['waiting']);
+      assert.equal(server.requests.length, 1);
+      stream.abort();
+    });
+  });
+
+  it('should reconnect a stalled download at the write offset', function() {
+    server.failures.push({stall: 1000});
+    const stream = new StreamFile({
+      url: server.url,
+      stallTimeout: 50,
+      stallReconnect: true,
+      retries: 1,
+      retryDelay: 10
+    });
+    return stream.load().then(() => {
+      return stream.read(5000);
+    }).then((buffer) => {
+      assert.deepEqual(new Uint8Array(buffer), new Uint8Array(data.slice(0, 5000)));
+      assert.equal(server.requests.length, 2);
+      assert.ok(/^bytes=1000-/.test(server.requests[1].headers['range']),
+        'resumed from ' + server.requests[1].headers['range']);
+    });
+  });
+
+  it('should reconnect a stalled download once without retries', function() {
+    server.failures.push({stall: 1000});
+    const stream = new StreamFile({
+      url: server.url,
+      stallTimeout: 50,
+      stallReconnect: true
+    });
+    return stream.load().then(() => {
+      return stream.read(5000);
+    }).then((buffer) => {
+      assert.deepEqual(new Uint8Array(buffer), new Uint8Array(data.slice(0, 5000)));
+      assert.equal(server.requests.length, 2);
+    });
+  });
+
+  it('should give up on repeated stalls without retries', function() {
+    server.failures.push({stall: 1000}, {stall: 0});
+    const stream = new StreamFile({
+      url: server.url,
+      stallTimeout: 50,
+      stallReconnect: true
+    });
+    return stream.load().then(() => {
+      return stream.read(5000);
+    }).then(() => {
+      assert.fail('should have failed');
+    }, (err) => {
+      assert.equal(err.name, 'TimeoutError');
+      assert.equal(server.requests.length, 2);
+    });
+  });
+});
@@ -0,0 +1,20 @@
+"use strict";
+
+/**
+ * Wrap an ArrayBuffer from a read for comparing against test data.
+ */
+function bytes(buffer) {
+  return Buffer.from(buffer);
+}
+
+/**
+ * Wait the given number of milliseconds.
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  bytes,
+  delay
+};
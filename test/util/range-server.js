@@ -0,0 +1,162 @@
+"use strict";
+
+const http = require('http');
+
+/**
+ * Minimal HTTP server for tests, serving a single in-memory file
+ * with support for byte Range requests.
+ *
+ * Push entries onto server.failures to make the next requests fail:
+ * - {status, retryAfter} - respond with an HTTP error
+ * - {truncate} - send only that many bytes, then drop the connection
+ * - {delay} - wait that many milliseconds before responding
+ * - {stall} - send only that many bytes, then hang until the client gives up
+ *
+ * Set server.etag to send an ETag header with each response.
+ * Set server.ignoreRange to send the whole file with 200 OK regardless
+ * of any Range header, as some servers do.
+ */
+function createRangeServer(data) {
+  const server = http.createServer((req, res) => {
+    server.requests.push({
+      url: req.url,
+      headers: req.headers
+    });
+
+    if (req.url === '/redirect') {
+      res.writeHead(302, {
+        'Location': '/file.bin'
+      });
+      res.end();
+      return;
+    }
+
+    const failure = server.failures.shift();
+    if (failure && failure.delay) {
+      setTimeout(() => respond(req, res), failure.delay);
+    } else {
+      respond(req, res, failure);
+    }
+  });
+
+  function respond(req, res, failure) {
+    if (failure && failure.status) {
+      const headers = {};
+      if (failure.retryAfter !== undefined) {
+        headers['Retry-After'] = failure.retryAfter;
+      }
+      res.writeHead(failure.status, headers);
+      res.end();
+      return;
+    }
+
+    const total = data.length;
+    const range = req.headers['range'];
+    const matches = !server.ignoreRange && range && range.match(/^bytes=(\d+)-(\d*)$/);
+    if (matches) {
+      const start = parseInt(matches[1], 10);
+      const end = matches[2] === '' ? total - 1 : Math.min(total - 1, parseInt(matches[2], 10));
+      if (start >= total) {
+        res.writeHead(416, {
+          'Content-Range': 'bytes */' + total
+        });
+        res.end();
+        return;
+      }
+      res.writeHead(206, withETag({
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': end - start + 1,
+        'Content-Range': 'bytes ' + start + '-' + end + '/' + total,
+        'Accept-Ranges': 'bytes'
+      }));
+      if (failure && failure.truncate) {
+        // Send part of the data, then drop the connection.
+        res.write(data.slice(start, start + failure.truncate), () => {
+          setTimeout(() => req.socket.destroy(), 10);
+        });
+        return;
+      }
+      if (failure && failure.stall !== undefined) {
+        // Send part of the data, then go silent with the connection open.
+        res.write(data.slice(start, start + failure.stall));
+        return;
+      }
+      res.end(data.slice(start, end + 1));
+    } else {
+      res.writeHead(200, withETag({
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': total
+      }));
+      res.end(data);
+    }
+  }
+
+  function withETag(headers) {
+    if (server.etag) {
+      headers['ETag'] = server.etag;
+    }
+    return headers;
+  }
+
+  server.requests = [];
+  server.failures = [];
+  server.etag = null;
+  server.ignoreRange = false;
+  server.url = null;
+  return server;
+}
+
+/**
+ * Run a range server for the tests in the enclosing describe() block,
+ * listening before the first test and closing after the last one.
+ * The server's recorded requests and test settings are reset
+ * before each test.
+ *
+ * The server is returned right away; its url is set once it's listening.
+ */
+function useRangeServer(data) {
+  const server = createRangeServer(data);
+
+  before(function() {
+    return new Promise((resolve) => {
+      server.listen(0, '127.0.0.1', () => {
+        server.url = 'http://127.0.0.1:' + server.address().port + '/file.bin';
+        resolve();
+      });
+    });
+  });
+
+  after(function() {
+    server.close();
+  });
+
+  beforeEach(function() {
+    server.requests.length = 0;
+    server.failures.length = 0;
+    server.etag = null;
+    server.ignoreRange = false;
+  });
+
+  return server;
+}
+
+/**
+ * List the Range headers of the requests the server has seen.
+ */
+function ranges(server) {
+  return server.requests.map((request) => request.headers['range']);
+}
+
+function testData(length) {
+  const data = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    data[i] = (i * 7) % 256;
+  }
+  return data;
+}
+
+module.exports = {
+  useRangeServer,
+  ranges,
+  testData
+};
@@ -0,0 +1,97 @@
+"use strict";
+
+const assert = require('assert');
+
+const StreamFile = require('../lib/stream-file.js');
+const {useRangeServer, testData} = require('./util/range-server.js');
+const {delay} = require('./util/helpers.js');
+
+describe('StreamFile toReadableStream', function() {
+  const data = testData(300000);
+  const server = useRangeServer(data);
+
+  it('should read the whole file through a Response', function() {
+    const stream = new StreamFile({url: server.url});
+    return new Response(stream.toReadableStream()).arrayBuffer().then((buffer) => {
+      assert.ok(Buffer.from(buffer).equals(data));
+      assert.ok(stream.eof);
+    });
+  });
+
+  it('should fill BYOB reader buffers', function() {
+    const stream = new StreamFile({data: new Uint8Array(data)});
+    const reader = stream.toReadableStream({start: 1000, end: 5000}).getReader({mode: 'byob'});
+    const chunks = [];
+    function loop(buffer) {
+      return reader.read(new Uint8Array(buffer, 0, 3000)).then((result) => {
+        if (result.done) {
+          return undefined;
+        }
+        chunks.push(Buffer.from(result.value));
+        return loop(result.value.buffer);
+      });
+    }
+    return loop(new ArrayBuffer(3000)).then(() => {
+      assert.deepEqual(chunks.map((chunk) => chunk.length), [3000, 1000]);
+      assert.ok(Buffer.concat(chunks).equals(data.slice(1000, 5000)));
+      assert.equal(stream.offset, 5000);
+    });
+  });
+
+  it('should only read as the consumer pulls', function() {
+    const stream = new StreamFile({data: new Uint8Array(data)});
+    const reader = stream.toReadableStream().getReader();
+    return reader.read().then((result) => {
+      assert.equal(result.value.byteLength, 65536);
+      return delay(20);
+    }).then(() => {
+      assert.equal(stream.offset, 65536, 'no reads without a pending pull');
+      return reader.cancel();
+    });
+  });
+
+  it('should abort the download on cancel', function() {
+    server.failures.push({stall: 1000});
+    const stream = new StreamFile({url: server.url});
+    const reader = stream.toReadableStream().getReader();
+    const pending = reader.read();
+    return delay(50).then(() => {
+      assert.ok(stream.buffering, 'waiting on the stalled download');
+      return reader.cancel();
+    }).then(() => {
+      return pending;
+    }).then((result) => {
+      assert.ok(result.done);
+      assert.ok(!stream.buffering);
+      assert.equal(stream._downloads.length, 0, 'download canceled');
+    });
+  });
+
+  it('should leave pin() downloads alone on cancel', function() {
+    const stream = new StreamFile({url: server.url, chunkSize: 65536});
+    const events = [];
+    stream.on('abort', () => events.push('abort'));
+    let pinned;
+    return stream.load().then(() => {
+      server.failures.push({delay: 50});
+      pinned = stream.pin(250000, 260000);
+      const reader = stream.toReadableStream().getReader();
+      return reader.read().then(() => reader.cancel());
+    }).then(() => {
+      return pinned;
+    }).then(() => {
+      assert.deepEqual(events, []);
+      assert.deepEqual(stream.getBufferedRanges().filter((range) => range[2]), [[250000, 260000, true]]);
+    });
+  });
+
+  it('should error the stream on network failure', function() {
+    server.failures.push({status: 404});
+    const stream = new StreamFile({url: server.url});
+    return stream.toReadableStream().getReader().read().then(() => {
+      assert.fail('should have failed');
+    }, (err) => {
+      assert.equal(err.status, 404);
+    });
+  });
+});